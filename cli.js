@@ -0,0 +1,296 @@
+#!/usr/bin/env -S gjs -m
+/*
+ * Network Share Automount extension for Gnome 45+
+ * Copyright 2025 Gavin Graham (gavindi)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 2 (GPLv2)
+ * as published by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+// Command-line companion for the extension, talking to it over its session D-Bus API
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import System from 'system';
+
+const DBUS_NAME = 'org.gnome.Shell.Extensions.NetworkShareAutomount';
+const DBUS_PATH = '/org/gnome/Shell/Extensions/NetworkShareAutomount';
+const DBUS_INTERFACE = 'org.gnome.Shell.Extensions.NetworkShareAutomount';
+
+// Exit codes scripts can gate on
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_NOT_RUNNING = 3;
+const EXIT_UNKNOWN_SHARE = 4;
+const EXIT_TIMEOUT = 5;
+
+const USAGE = `Usage: network-share-automount [--json] <command> [arguments]
+
+Commands:
+  status [name]                 Show the state of all shares, or of one share
+  mount <name>                  Ask the extension to mount a share
+  unmount <name>                Ask the extension to unmount a share
+  check                         Run the periodic mount check now
+  wait <name> [--timeout N]     Mount a share if needed and block until it is mounted
+               [--no-mount]     (default timeout 60 seconds; --no-mount only waits)
+
+Shares are matched by name or URI.
+
+Exit status:
+  0  success (for wait: the share is mounted)
+  1  the operation failed, or for wait: the share gave up mounting, its host is
+     unreachable, automount is paused or a share it depends on is not mounted
+  2  invalid usage
+  3  the extension is not running
+  4  no share matches the given name
+  5  timed out waiting for the share`;
+
+class CliError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+function callExtension(method, parameters = null, replyType = null) {
+    try {
+        let reply = Gio.DBus.session.call_sync(
+            DBUS_NAME,
+            DBUS_PATH,
+            DBUS_INTERFACE,
+            method,
+            parameters,
+            replyType ? new GLib.VariantType(replyType) : null,
+            Gio.DBusCallFlags.NO_AUTO_START,
+            -1,
+            null
+        );
+        return reply ? reply.recursiveUnpack() : null;
+    } catch (e) {
+        if (e.matches(Gio.DBusError, Gio.DBusError.SERVICE_UNKNOWN) ||
+            e.matches(Gio.DBusError, Gio.DBusError.NAME_HAS_NO_OWNER)) {
+            throw new CliError('Network Share Automount is not running', EXIT_NOT_RUNNING);
+        }
+        throw new CliError(Gio.DBusError.strip_remote_error(e) || e.message, EXIT_FAILED);
+    }
+}
+
+function listShares() {
+    return callExtension('ListShares', null, '(aa{sv})')[0];
+}
+
+function findShare(nameOrUri) {
+    let wanted = nameOrUri.toLowerCase();
+    let share = listShares().find(candidate =>
+        candidate.uri === nameOrUri || candidate.name.toLowerCase() === wanted);
+    
+    if (!share) {
+        throw new CliError(`No share named "${nameOrUri}"`, EXIT_UNKNOWN_SHARE);
+    }
+    return share;
+}
+
+function printShares(shares, json) {
+    if (json) {
+        print(JSON.stringify(shares, null, 2));
+        return;
+    }
+    
+    if (shares.length === 0) {
+        print('No network shares configured');
+        return;
+    }
+    
+    let stateWidth = Math.max(...shares.map(share => share.state.length));
+    let nameWidth = Math.max(...shares.map(share => share.name.length));
+    shares.forEach(share => {
+        let line = `${share.state.padEnd(stateWidth)}  ${share.name.padEnd(nameWidth)}  ${share.uri}`;
+        if (share.mounted && share.symlink) {
+            line += ` -> ${share.symlink}`;
+        }
+        print(line);
+    });
+}
+
+function printResult(json, message, details = {}) {
+    if (json) {
+        print(JSON.stringify({ message, ...details }));
+    } else {
+        print(message);
+    }
+}
+
+function getShareState(share) {
+    return callExtension('GetShareState', new GLib.Variant('(s)', [share.uri]), '(a{sv})')[0];
+}
+
+function getWaitResult(current) {
+    // 'mounted', a reason the share won't get mounted without help, or null while it may still be
+    if (current.state === 'mounted') return 'mounted';
+    if (['given-up', 'paused', 'blocked'].includes(current.state)) return current.state;
+    if (current['host-unreachable'] && !['queued', 'probing', 'mounting'].includes(current.state)) {
+        return 'host-unreachable';
+    }
+    return null;
+}
+
+function waitForShare(share, timeoutSecs, requestMount) {
+    // Returns 'mounted', 'timeout' or why the share failed: 'given-up', 'paused', 'blocked' or 'host-unreachable'
+    let loop = new GLib.MainLoop(null, false);
+    let result = 'timeout';
+    
+    let finish = state => {
+        result = state;
+        loop.quit();
+    };
+    
+    let signalId = Gio.DBus.session.signal_subscribe(
+        DBUS_NAME,
+        DBUS_INTERFACE,
+        'ShareStateChanged',
+        DBUS_PATH,
+        share.uri,
+        Gio.DBusSignalFlags.NONE,
+        () => {
+            // The signal only carries the state; an unreachable host shows in the details
+            let state = getWaitResult(getShareState(share));
+            if (state) finish(state);
+        }
+    );
+    
+    let timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, timeoutSecs, () => {
+        timeoutId = 0;
+        finish('timeout');
+        return GLib.SOURCE_REMOVE;
+    });
+    
+    // Check after subscribing so a change in between is not missed. A failure from before
+    // only counts when not mounting, since the mount requested here gets another go.
+    let current = getShareState(share);
+    let state = getWaitResult(current);
+    if (state === 'mounted' || (state && !requestMount)) {
+        result = state;
+    } else {
+        if (requestMount && !['queued', 'probing', 'mounting'].includes(current.state)) {
+            callExtension('Mount', new GLib.Variant('(s)', [share.uri]));
+        }
+        loop.run();
+    }
+    
+    if (timeoutId) GLib.source_remove(timeoutId);
+    Gio.DBus.session.signal_unsubscribe(signalId);
+    return result;
+}
+
+function parseArgs(args) {
+    let options = { json: false, timeout: 60, mount: true, positional: [] };
+    
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--no-mount') {
+            options.mount = false;
+        } else if (arg === '--timeout' || arg.startsWith('--timeout=')) {
+            let value = arg.includes('=') ? arg.split('=')[1] : args[++i];
+            options.timeout = parseInt(value, 10);
+            if (!Number.isInteger(options.timeout) || options.timeout <= 0) {
+                throw new CliError('--timeout needs a positive number of seconds', EXIT_USAGE);
+            }
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new CliError(`Unknown option ${arg}`, EXIT_USAGE);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+    
+    return options;
+}
+
+function run(args) {
+    let options = parseArgs(args);
+    let [command, name] = options.positional;
+    
+    if (options.help) {
+        print(USAGE);
+        return EXIT_OK;
+    }
+    
+    let requireName = () => {
+        if (!name) throw new CliError(`${command} needs a share name`, EXIT_USAGE);
+        return findShare(name);
+    };
+    
+    switch (command) {
+    case 'status': {
+        let shares = name ? [findShare(name)] : listShares();
+        printShares(shares, options.json);
+        return EXIT_OK;
+    }
+    case 'mount': {
+        let share = requireName();
+        callExtension('Mount', new GLib.Variant('(s)', [share.uri]));
+        printResult(options.json, `Mount requested for ${share.name}`, { uri: share.uri });
+        return EXIT_OK;
+    }
+    case 'unmount': {
+        let share = requireName();
+        callExtension('Unmount', new GLib.Variant('(s)', [share.uri]));
+        printResult(options.json, `Unmount requested for ${share.name}`, { uri: share.uri });
+        return EXIT_OK;
+    }
+    case 'check':
+        callExtension('CheckNow');
+        printResult(options.json, 'Mount check started');
+        return EXIT_OK;
+    case 'wait': {
+        let share = requireName();
+        let state = waitForShare(share, options.timeout, options.mount);
+        let mounted = state === 'mounted';
+        
+        if (options.json) {
+            print(JSON.stringify({ ...findShare(share.uri), result: state }, null, 2));
+        } else if (mounted) {
+            print(`${share.name} is mounted`);
+        } else if (state === 'given-up') {
+            printerr(`${share.name} failed to mount`);
+        } else if (state === 'host-unreachable') {
+            printerr(`${share.name} failed to mount: host unreachable`);
+        } else if (state === 'paused') {
+            printerr(`${share.name} is not mounted: automount is paused`);
+        } else if (state === 'blocked') {
+            printerr(`${share.name} is not mounted: a share it depends on is not mounted`);
+        } else {
+            printerr(`Timed out after ${options.timeout}s waiting for ${share.name}`);
+        }
+        
+        if (mounted) return EXIT_OK;
+        return state === 'timeout' ? EXIT_TIMEOUT : EXIT_FAILED;
+    }
+    default:
+        printerr(USAGE);
+        return EXIT_USAGE;
+    }
+}
+
+try {
+    System.exit(run(System.programArgs));
+} catch (e) {
+    if (!(e instanceof CliError)) throw e;
+    
+    printerr(`network-share-automount: ${e.message}`);
+    System.exit(e.exitCode);
+}
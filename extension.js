@@ -17,6 +17,7 @@
  */
 
 import St from 'gi://St';
+import Clutter from 'gi://Clutter';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import GObject from 'gi://GObject';
@@ -24,13 +25,178 @@ import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as ShellMountOperation from 'resource:///org/gnome/shell/ui/shellMountOperation.js';
+import * as LoginManager from 'resource:///org/gnome/shell/misc/loginManager.js';
+import Secret from 'gi://Secret';
 import {Extension, gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+import {
+    AVAILABILITY_PERIODS, SHARE_PROTOCOLS, SymlinkPolicy, computeAvailability, expandSymlinkTemplate, formatDuration,
+    formatSchedule, getBookmarkFilePaths, getHistoryPaths, getShareDefaults, getStateDir, parseShareSettings,
+    readShareEntries, sanitizeForFilename, serializeShareSettings
+} from './utils.js';
 
-class NetworkMountIndicator extends PanelMenu.Button {
+// Seconds the network must stay stable before reacting to a change
+const NETWORK_DEBOUNCE_SECONDS = 3;
+
+const NM_BUS_NAME = 'org.freedesktop.NetworkManager';
+const NM_PATH = '/org/freedesktop/NetworkManager';
+
+// Seconds to wait for a TCP connection when checking if a share's host is up
+const PROBE_TIMEOUT_SECONDS = 3;
+
+// Seconds a mounted share's root may take to answer before the mount counts as stale
+const HEALTH_CHECK_TIMEOUT_SECONDS = 10;
+
+// Per-share mount lifecycle
+const MountState = {
+    IDLE: 'idle',
+    QUEUED: 'queued',
+    PROBING: 'probing',
+    MOUNTING: 'mounting',
+    MOUNTED: 'mounted',
+    BACKOFF: 'backoff',
+    GIVEN_UP: 'given-up',
+    PAUSED: 'paused',
+    BLOCKED: 'blocked'
+};
+
+// Marker file left in a share's placeholder directory while it is offline
+const PLACEHOLDER_MARKER = 'SHARE-OFFLINE.txt';
+
+// Keyring schema for share credentials, stored as JSON {user, domain, password} per URI
+const CREDENTIALS_SCHEMA = new Secret.Schema(
+    'org.gnome.shell.extensions.network-share-automount.Credentials',
+    Secret.SchemaFlags.NONE,
+    { uri: Secret.SchemaAttributeType.STRING }
+);
+
+Gio._promisify(Gio.DBusConnection.prototype, 'call');
+Gio._promisify(Gio.SocketClient.prototype, 'connect_async');
+Gio._promisify(Gio.File.prototype, 'mount_enclosing_volume');
+Gio._promisify(Gio.Mount.prototype, 'unmount_with_operation');
+Gio._promisify(Gio.File.prototype, 'query_info_async');
+Gio._promisify(Gio.File.prototype, 'find_enclosing_mount_async');
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+Gio._promisify(Gio.File.prototype, 'append_to_async');
+Gio._promisify(Gio.File.prototype, 'move_async');
+Gio._promisify(Gio.OutputStream.prototype, 'write_bytes_async');
+Gio._promisify(Gio.OutputStream.prototype, 'close_async');
+Gio._promisify(Secret, 'password_lookup', 'password_lookup_finish');
+Gio._promisify(Secret, 'password_store', 'password_store_finish');
+
+class KeyringMountOperation extends Gio.MountOperation {
     static {
         GObject.registerClass(this);
     }
 
+    _init(credentials) {
+        super._init();
+        
+        this._credentials = credentials;
+        this.credentialsRejected = false;
+        this.credentialsMissing = false;
+        this._passwordAsked = false;
+        
+        this.connect('ask-password', (op, message, defaultUser, defaultDomain, flags) => {
+            this._onAskPassword(flags);
+        });
+    }
+    
+    _onAskPassword(flags) {
+        if (!this._credentials) {
+            // Nothing stored - unattended mounts cannot prompt
+            this.credentialsMissing = true;
+            this.reply(Gio.MountOperationResult.ABORTED);
+            return;
+        }
+        
+        if (this._passwordAsked) {
+            // GVFS asks again when the previous answer was refused
+            this.credentialsRejected = true;
+            this.reply(Gio.MountOperationResult.ABORTED);
+            return;
+        }
+        this._passwordAsked = true;
+        
+        if (flags & Gio.AskPasswordFlags.NEED_USERNAME) {
+            this.set_username(this._credentials.user || '');
+        }
+        if (flags & Gio.AskPasswordFlags.NEED_DOMAIN) {
+            this.set_domain(this._credentials.domain || '');
+        }
+        if (flags & Gio.AskPasswordFlags.NEED_PASSWORD) {
+            this.set_password(this._credentials.password || '');
+        }
+        this.set_password_save(Gio.PasswordSave.NEVER);
+        this.reply(Gio.MountOperationResult.HANDLED);
+    }
+}
+
+// Collapsible header for a share group; the group's items live in a section below it
+class ShareGroupMenuItem extends PopupMenu.PopupBaseMenuItem {
+    static {
+        GObject.registerClass({
+            Signals: {
+                'toggled': { param_types: [GObject.TYPE_BOOLEAN] }
+            }
+        }, this);
+    }
+
+    _init(name, section, expanded) {
+        super._init({ style_class: 'popup-submenu-menu-item' });
+        
+        this._section = section;
+        
+        this.label = new St.Label({
+            text: name,
+            y_expand: true,
+            y_align: Clutter.ActorAlign.CENTER
+        });
+        this.add_child(this.label);
+        this.label_actor = this.label;
+        
+        this.status = new St.Label({
+            style_class: 'popup-inactive-menu-item',
+            x_expand: true,
+            x_align: Clutter.ActorAlign.END,
+            y_align: Clutter.ActorAlign.CENTER
+        });
+        this.add_child(this.status);
+        
+        this._arrow = new St.Icon({
+            style_class: 'popup-menu-arrow',
+            y_align: Clutter.ActorAlign.CENTER
+        });
+        this.add_child(this._arrow);
+        
+        this.setExpanded(expanded);
+    }
+    
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        this._section.actor.visible = expanded;
+        this._arrow.icon_name = expanded ? 'pan-down-symbolic' : 'pan-end-symbolic';
+    }
+    
+    activate() {
+        // Expand or collapse in place instead of closing the menu
+        this.setExpanded(!this.expanded);
+        this.emit('toggled', this.expanded);
+    }
+}
+
+class NetworkMountIndicator extends PanelMenu.Button {
+    static {
+        GObject.registerClass({
+            Signals: {
+                // uri, state
+                'share-state-changed': { param_types: [GObject.TYPE_STRING, GObject.TYPE_STRING] },
+                // uri, symlink path, whether the link now exists
+                'symlink-changed': { param_types: [GObject.TYPE_STRING, GObject.TYPE_STRING, GObject.TYPE_BOOLEAN] }
+            }
+        }, this);
+    }
+
     _init(settings, extension) {
         super._init(0.0, _('Network Share Automount'));
         
@@ -44,38 +210,83 @@ class NetworkMountIndicator extends PanelMenu.Button {
         
         this._bookmarks = [];
         this._mountedLocations = new Map();
-        this._symlinkPaths = new Map(); // Track symlinks for cleanup
+        this._symlinkManifest = new Map(); // Symlinks the extension created, by path
+        this._symlinkProblems = new Map(); // Reported symlink problems by link path
+        this._missingLinkTargets = new Set(); // Subfolder links whose folder is missing on the share
+        let [rotatedHistoryPath, historyPath] = getHistoryPaths();
+        this._historyFile = Gio.File.new_for_path(historyPath);
+        this._rotatedHistoryFile = Gio.File.new_for_path(rotatedHistoryPath); // Kept for one rotation
+        this._historyRecords = []; // History of the last availability period, oldest first
+        this._historyStartedAt = null; // Time of the first record in the current history file
+        this._historyMonitor = null;
+        this._historyQueue = []; // Lines waiting to be appended to the history file
+        this._historyWrite = null; // Last queued history write; writes wait for the history to load
+        this._reportedCollisions = '';
+        this._uid = new Gio.Credentials().get_unix_user();
         this._retryQueue = new Map();
+        this._pauseTimeouts = new Map(); // Timeouts ending paused shares' pause, by URI
         this._timeoutId = null;
         this._timeoutIds = new Set(); // Track all timeout IDs for cleanup
         this._source = null;
         this._startupMountInProgress = false;
         this._bookmarkMenuItems = new Map(); // Track submenu items for updates
+        this._groupMenuItems = new Map(); // Group headers by group name
+        this._expandedGroups = new Set();
+        this._networkMonitor = Gio.NetworkMonitor.get_default();
+        this._networkSignalIds = [];
+        this._networkOnline = false;
+        this._networkDebounceId = null;
+        this._networkWaitId = null;
+        this._activeNetworks = null; // Lower-cased NM connection names and SSIDs, null if unknown
+        this._cancellable = new Gio.Cancellable();
+        this._promptQueue = Promise.resolve(); // Serializes interactive password prompts
+        this._bookmarkMonitors = [];
+        this._bookmarksReloadId = null;
+        this._operations = new Map(); // In-flight mount/unmount operations by URI
+        this._batches = new Set(); // Running "Mount All" / "Unmount All" batches
+        this._progressTickId = null;
+        this._healthCheckId = null;
+        this._volumeMonitor = Gio.VolumeMonitor.get();
+        this._volumeSignalIds = [];
+        this._mountCache = new Map(); // Mounts by bookmark URI, kept current by the volume monitor
+        this._ejectedShares = new Set(); // URIs whose mount someone asked to unmount outside the extension
+        this._credentialChanges = {}; // When preferences last changed each share's stored credentials, by URI
+        this._loginManager = LoginManager.getLoginManager();
+        this._sleepSignalId = null;
+        this._sleepInhibitor = null;
+        this._inhibitorPending = false;
+        this._resumePending = false;
+        this._sessionModeId = null;
+        this._screenLocked = Main.sessionMode.isLocked;
+        this._releasedShares = new Set(); // URIs unmounted by a sleep or lock policy, to remount afterwards
+        this._mountQueue = []; // Mounts waiting for a free slot, manual ones first
+        this._activeHosts = new Set(); // Hosts with a queued mount running
+        this._runningMounts = 0;
+        this._pendingMounts = new Map(); // Queued and running mounts by URI, so callers can join them
+        this._pendingUnmounts = new Map(); // Running unmounts by URI
+        this._reportedCycles = '';
+        this._scheduleTimerId = null;
+        this._pauseTickId = null;
         
         this._connectSettings();
+        this._setupNotificationSource();
+        this._historyWrite = this._loadHistory().catch(e => console.error('Error loading mount history:', e));
+        this._connectNetworkMonitor();
+        this._connectVolumeMonitor();
         this._buildMenu();
+        this._loadSymlinkManifest();
         this._loadBookmarks();
+        this._recordStart();
+        this._sweepOrphanedSymlinks();
+        this._connectSessionEvents();
+        this._monitorBookmarkFiles();
         this._startPeriodicCheck();
-        this._setupNotificationSource();
+        this._startHealthCheck();
+        this._startPauseTimer();
         
-        // Mount all enabled bookmarks on startup with status updates
+        // Mount all enabled bookmarks once the network is up (or the wait times out)
         this._startupMountInProgress = true;
-        const startupTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 5, () => {
-            this._checkAndMountAll(false, true); // isManual=false, isStartup=true
-            this._timeoutIds.delete(startupTimeoutId);
-            return GLib.SOURCE_REMOVE;
-        });
-        this._timeoutIds.add(startupTimeoutId);
-        
-        // Additional status refresh after startup mounts complete
-        const statusTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 10, () => {
-            this._startupMountInProgress = false;
-            this._updateBookmarksList();
-            this._updateStatus();
-            this._timeoutIds.delete(statusTimeoutId);
-            return GLib.SOURCE_REMOVE;
-        });
-        this._timeoutIds.add(statusTimeoutId);
+        this._waitForNetwork();
     }
     
     _connectSettings() {
@@ -83,10 +294,69 @@ class NetworkMountIndicator extends PanelMenu.Button {
             this._startPeriodicCheck();
         });
         
+        this._settings.connect('changed::health-check-interval', () => {
+            this._startHealthCheck();
+        });
+        
+        this._settings.connect('changed::automount-paused-until', () => {
+            this._startPauseTimer();
+            if (!this._isAutomountPaused()) {
+                console.log('Automount resumed');
+                this._checkAndMountAll();
+            }
+        });
+        
         this._settings.connect('changed::bookmark-settings', () => {
             this._loadBookmarkSettings();
             this._updateBookmarksList();
+            this._updateSleepInhibitor();
+        });
+        
+        this._settings.connect('changed::custom-shares', () => {
+            this._loadBookmarks();
+            this._updateSleepInhibitor();
+        });
+        
+        this._settings.connect('changed::symlink-template', () => {
+            this._checkSymlinkCollisions();
+            this._updateBookmarksList();
+        });
+        
+        this._credentialChanges = this._readCredentialChanges();
+        this._settings.connect('changed::credentials-changed', () => {
+            this._onCredentialsChanged();
+        });
+    }
+    
+    _readCredentialChanges() {
+        try {
+            return JSON.parse(this._settings.get_string('credentials-changed') || '{}');
+        } catch (e) {
+            console.error('Error reading credential changes:', e);
+            return {};
+        }
+    }
+    
+    _onCredentialsChanged() {
+        // Preferences stamp a share whenever its stored credentials are saved or deleted.
+        // Refused credentials were only kept from being retried; new ones get a fresh go.
+        let changes = this._readCredentialChanges();
+        this._bookmarks.forEach(bookmark => {
+            if (changes[bookmark.uri] === this._credentialChanges[bookmark.uri]) return;
+            if (!bookmark.credentialsRejected) return;
+            
+            console.log(`Credentials for ${bookmark.name} changed, mounting it again`);
+            bookmark.credentialsRejected = false;
+            bookmark.failCount = 0;
+            this._cancelRetry(bookmark);
+            if (bookmark.state === MountState.GIVEN_UP) this._setMountState(bookmark, MountState.IDLE);
+            this._updateBookmarkSubmenu(bookmark);
+            
+            if (bookmark.enabled && this._networkOnline && this._isOnAllowedNetwork(bookmark)) {
+                this._mountAfterDependencies(bookmark, { isRetry: true });
+            }
         });
+        this._credentialChanges = changes;
     }
     
     _setupNotificationSource() {
@@ -109,6 +379,331 @@ class NetworkMountIndicator extends PanelMenu.Button {
         this._source.showNotification(notification);
     }
     
+    _connectNetworkMonitor() {
+        this._networkOnline = this._isNetworkOnline();
+        
+        this._networkSignalIds.push(
+            this._networkMonitor.connect('network-changed', () => {
+                this._queueNetworkChange();
+            }),
+            this._networkMonitor.connect('notify::connectivity', () => {
+                this._queueNetworkChange();
+            })
+        );
+    }
+    
+    _connectVolumeMonitor() {
+        // Mounts and unmounts made anywhere (Files, gio, other extensions) update the menu right away
+        for (let signal of ['mount-added', 'mount-removed', 'mount-changed']) {
+            this._volumeSignalIds.push(
+                this._volumeMonitor.connect(signal, () => {
+                    this._refreshMountCache();
+                })
+            );
+        }
+        
+        // Only an unmount someone asked for is announced; GVFS dropping a dead mount is not
+        this._volumeSignalIds.push(
+            this._volumeMonitor.connect('mount-pre-unmount', (monitor, mount) => {
+                this._bookmarks.forEach(bookmark => {
+                    if (this._getMount(bookmark.uri) === mount && !this._operations.has(bookmark.uri)) {
+                        this._ejectedShares.add(bookmark.uri);
+                    }
+                });
+            })
+        );
+    }
+    
+    _connectSessionEvents() {
+        // logind's PrepareForSleep, relayed by the Shell's login manager
+        this._sleepSignalId = this._loginManager.connect('prepare-for-sleep', (manager, aboutToSuspend) => {
+            if (aboutToSuspend) {
+                this._onPrepareForSleep();
+            } else {
+                this._onResume();
+            }
+        });
+        
+        this._sessionModeId = Main.sessionMode.connect('updated', () => {
+            this._onSessionModeUpdated();
+        });
+        
+        this._updateSleepInhibitor();
+    }
+    
+    async _updateSleepInhibitor() {
+        // Only delay sleep while some share wants a clean unmount first
+        let wanted = this._bookmarks.some(bookmark => bookmark.unmountOnSleep);
+        if (!wanted) {
+            this._releaseSleepInhibitor();
+            return;
+        }
+        if (this._sleepInhibitor || this._inhibitorPending) return;
+        
+        this._inhibitorPending = true;
+        try {
+            this._sleepInhibitor = await this._loginManager.inhibit(_('Unmounting network shares'), this._cancellable);
+        } catch (e) {
+            if (!this._cancellable.is_cancelled()) {
+                console.warn(`Could not take a sleep inhibitor: ${e.message}`);
+            }
+        } finally {
+            this._inhibitorPending = false;
+        }
+        
+        // Disabled or no longer needed while waiting for logind
+        if (this._cancellable.is_cancelled() || !this._bookmarks.some(bookmark => bookmark.unmountOnSleep)) {
+            this._releaseSleepInhibitor();
+        }
+    }
+    
+    _releaseSleepInhibitor() {
+        if (!this._sleepInhibitor) return;
+        
+        this._sleepInhibitor.close(null);
+        this._sleepInhibitor = null;
+    }
+    
+    async _onPrepareForSleep() {
+        let bookmarks = this._bookmarks.filter(bookmark =>
+            bookmark.unmountOnSleep && this._isLocationMounted(bookmark.uri) && !this._operations.has(bookmark.uri));
+        
+        if (bookmarks.length > 0) {
+            console.log(`Unmounting ${bookmarks.length} shares before sleep`);
+            bookmarks.forEach(bookmark => this._releasedShares.add(bookmark.uri));
+            
+            let results = await Promise.all(bookmarks.map(bookmark => this._unmountLocation(bookmark, false, true)));
+            if (this._cancellable.is_cancelled()) return;
+            
+            // Shares that refused to unmount are still mounted and need no restoring
+            bookmarks.forEach((bookmark, i) => {
+                if (!results[i]) this._releasedShares.delete(bookmark.uri);
+            });
+        }
+        
+        // Let the system go to sleep
+        this._releaseSleepInhibitor();
+    }
+    
+    _onResume() {
+        console.log('Resumed from sleep');
+        this._updateSleepInhibitor();
+        
+        // Once the network has settled, verify the mounts that survived and restore released shares
+        this._resumePending = true;
+        this._queueNetworkChange();
+    }
+    
+    async _onSessionModeUpdated() {
+        let locked = Main.sessionMode.isLocked;
+        if (locked === this._screenLocked) return;
+        this._screenLocked = locked;
+        
+        // Nothing in the menu should be reachable from the lock screen
+        this.menu.close();
+        this.visible = !locked;
+        
+        if (!locked) {
+            console.log('Screen unlocked');
+            this._restoreReleasedShares();
+            return;
+        }
+        
+        let bookmarks = this._bookmarks.filter(bookmark =>
+            bookmark.unmountOnLock && this._isLocationMounted(bookmark.uri) && !this._operations.has(bookmark.uri));
+        if (bookmarks.length === 0) return;
+        
+        console.log(`Screen locked, unmounting ${bookmarks.length} shares`);
+        bookmarks.forEach(bookmark => this._releasedShares.add(bookmark.uri));
+        
+        let results = await Promise.all(bookmarks.map(bookmark => this._unmountLocation(bookmark, false, true)));
+        if (this._cancellable.is_cancelled()) return;
+        
+        bookmarks.forEach((bookmark, i) => {
+            if (!results[i]) this._releasedShares.delete(bookmark.uri);
+        });
+    }
+    
+    _isHeldByLock(bookmark) {
+        // Sensitive shares stay unmounted until the screen is unlocked
+        return this._screenLocked && bookmark.unmountOnLock;
+    }
+    
+    _restoreReleasedShares() {
+        // Remount shares a sleep or lock policy unmounted, once nothing holds them back
+        if (!this._networkOnline) return;
+        
+        this._releasedShares.forEach(uri => {
+            let bookmark = this._findBookmark(uri);
+            if (bookmark && this._isHeldByLock(bookmark)) return;
+            
+            this._releasedShares.delete(uri);
+            if (bookmark && this._isOnAllowedNetwork(bookmark) && !this._isLocationMounted(uri)) {
+                this._mountAfterDependencies(bookmark);
+            }
+        });
+    }
+    
+    _verifyMounts() {
+        this._bookmarks.forEach(bookmark => {
+            if (this._isLocationMounted(bookmark.uri) && !this._operations.has(bookmark.uri)) {
+                this._checkMountHealth(bookmark);
+            }
+        });
+    }
+    
+    _isNetworkOnline() {
+        // LAN-only connectivity (LIMITED) is enough to reach most network shares
+        return this._networkMonitor.get_network_available() &&
+            this._networkMonitor.get_connectivity() !== Gio.NetworkConnectivity.LOCAL;
+    }
+    
+    _queueNetworkChange() {
+        // Debounce flapping links: only act once the network has settled
+        if (this._networkDebounceId) {
+            GLib.source_remove(this._networkDebounceId);
+        }
+        
+        this._networkDebounceId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, NETWORK_DEBOUNCE_SECONDS, () => {
+            this._networkDebounceId = null;
+            this._onNetworkChanged();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+    
+    async _onNetworkChanged() {
+        this._networkOnline = this._isNetworkOnline();
+        console.log(`Network changed: ${this._networkOnline ? 'online' : 'offline'}`);
+        
+        await this._refreshActiveNetworks();
+        if (this._cancellable.is_cancelled()) return;
+        
+        if (!this._networkOnline) {
+            // Retries would only use up their attempts while offline; reconnecting starts them afresh.
+            // Mounts that are still up may hang on the lost connection, so they are checked right away.
+            this._bookmarks.forEach(bookmark => this._resetRetryState(bookmark));
+            this._verifyMounts();
+            this._updateStatus();
+            return;
+        }
+        
+        // Still waiting for the startup mount - let it run now
+        if (this._networkWaitId) {
+            this._finishNetworkWait();
+            return;
+        }
+        
+        // Network changes give shares in backoff or given up a fresh start
+        this._bookmarks.forEach(bookmark => this._resetRetryState(bookmark));
+        
+        // Mounts that lived through a suspend are often dead
+        if (this._resumePending) {
+            this._resumePending = false;
+            this._verifyMounts();
+        }
+        
+        this._restoreReleasedShares();
+        this._checkAndMountAll();
+    }
+    
+    _waitForNetwork() {
+        if (this._networkOnline) {
+            this._runStartupMount();
+            return;
+        }
+        
+        console.log('Network not available, waiting before startup mount');
+        let maxWait = this._settings.get_int('network-wait-timeout');
+        this._networkWaitId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, maxWait, () => {
+            this._networkWaitId = null;
+            console.log('Timed out waiting for network');
+            // The network monitor can report offline while LAN shares are reachable, so try anyway
+            this._runStartupMount(true);
+            return GLib.SOURCE_REMOVE;
+        });
+        this._updateStatus();
+    }
+    
+    _finishNetworkWait() {
+        if (this._networkWaitId) {
+            GLib.source_remove(this._networkWaitId);
+            this._networkWaitId = null;
+        }
+        this._runStartupMount();
+    }
+    
+    async _runStartupMount(ignoreOffline = false) {
+        await this._refreshActiveNetworks();
+        if (this._cancellable.is_cancelled()) return;
+        
+        this._checkAndMountAll(false, true, ignoreOffline); // isManual=false, isStartup=true
+        
+        // Status refresh once the startup mounts have had time to complete
+        const statusTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 5, () => {
+            this._startupMountInProgress = false;
+            this._updateBookmarksList();
+            this._updateStatus();
+            this._timeoutIds.delete(statusTimeoutId);
+            return GLib.SOURCE_REMOVE;
+        });
+        this._timeoutIds.add(statusTimeoutId);
+    }
+    
+    async _getDBusProperties(objectPath, interfaceName) {
+        let reply = await Gio.DBus.system.call(
+            NM_BUS_NAME,
+            objectPath,
+            'org.freedesktop.DBus.Properties',
+            'GetAll',
+            new GLib.Variant('(s)', [interfaceName]),
+            new GLib.VariantType('(a{sv})'),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            this._cancellable
+        );
+        return reply.recursiveUnpack()[0];
+    }
+    
+    async _refreshActiveNetworks() {
+        // Collect the names of active NetworkManager connections (including VPNs) and Wi-Fi SSIDs
+        try {
+            let networks = new Set();
+            let nmProps = await this._getDBusProperties(NM_PATH, NM_BUS_NAME);
+            
+            for (let connectionPath of nmProps.ActiveConnections || []) {
+                let connection = await this._getDBusProperties(
+                    connectionPath, 'org.freedesktop.NetworkManager.Connection.Active');
+                
+                if (connection.Id) {
+                    networks.add(connection.Id.toLowerCase());
+                }
+                
+                if (connection.Type === '802-11-wireless' && connection.SpecificObject &&
+                    connection.SpecificObject !== '/') {
+                    let accessPoint = await this._getDBusProperties(
+                        connection.SpecificObject, 'org.freedesktop.NetworkManager.AccessPoint');
+                    let ssid = new TextDecoder().decode(new Uint8Array(accessPoint.Ssid || []));
+                    if (ssid) networks.add(ssid.toLowerCase());
+                }
+            }
+            
+            this._activeNetworks = networks;
+        } catch (e) {
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+            
+            // Without NetworkManager we cannot tell networks apart, so no share is restricted
+            console.warn('Could not query NetworkManager connections:', e.message);
+            this._activeNetworks = null;
+        }
+    }
+    
+    _isOnAllowedNetwork(bookmark) {
+        if (!bookmark.networks || bookmark.networks.length === 0) return true;
+        if (!this._activeNetworks) return true;
+        
+        return bookmark.networks.some(network => this._activeNetworks.has(network.toLowerCase()));
+    }
+    
     _buildMenu() {
         // Header with status
         this._headerItem = new PopupMenu.PopupMenuItem(_('Network Share Automount'), {
@@ -156,6 +751,32 @@ class NetworkMountIndicator extends PanelMenu.Button {
             this._unmountAll();
         });
         this.menu.addMenuItem(unmountAllItem);
+        
+        // Global pause, with the time left shown in the submenu label
+        this._pauseMenuItem = new PopupMenu.PopupSubMenuMenuItem(_('Pause Automount'));
+        [[_('For 1 Hour'), 1], [_('For 4 Hours'), 4]].forEach(([label, hours]) => {
+            let item = new PopupMenu.PopupMenuItem(label);
+            item.connect('activate', () => {
+                this._pauseAllAutomount(Date.now() + hours * 3600 * 1000);
+            });
+            this._pauseMenuItem.menu.addMenuItem(item);
+        });
+        
+        let tomorrowItem = new PopupMenu.PopupMenuItem(_('Until Tomorrow'));
+        tomorrowItem.connect('activate', () => {
+            let tomorrow = GLib.DateTime.new_now_local().add_days(1);
+            let midnight = GLib.DateTime.new_local(tomorrow.get_year(), tomorrow.get_month(),
+                tomorrow.get_day_of_month(), 0, 0, 0);
+            this._pauseAllAutomount(midnight.to_unix() * 1000);
+        });
+        this._pauseMenuItem.menu.addMenuItem(tomorrowItem);
+        
+        this._resumeAllItem = new PopupMenu.PopupMenuItem(_('Resume Now'));
+        this._resumeAllItem.connect('activate', () => {
+            this._settings.set_int64('automount-paused-until', 0);
+        });
+        this._pauseMenuItem.menu.addMenuItem(this._resumeAllItem);
+        this.menu.addMenuItem(this._pauseMenuItem);
     }
 
     _updateStatus() {
@@ -163,8 +784,17 @@ class NetworkMountIndicator extends PanelMenu.Button {
         let mounted = this._bookmarks.filter(b => this._isLocationMounted(b.uri)).length;
         let enabled = this._bookmarks.filter(b => b.enabled).length;
         let interval = this._settings.get_int('check-interval');
+        let queued = this._mountQueue.length > 0 ? _(` \u2022 ${this._mountQueue.length} queued`) : '';
+        if (this._isAutomountPaused()) queued += _(' \u2022 Automount paused');
     
-        this._statusItem.label.text = _(`${mounted}/${total} mounted \u2022 Check every ${interval}min`);
+        if (this._batches.size > 0) {
+            let progress = [...this._batches].map(batch => `${batch.label} ${batch.done}/${batch.total}`);
+            this._statusItem.label.text = _(`${mounted}/${total} mounted \u2022 ${progress.join(', ')}\u2026`) + queued;
+        } else if (!this._networkOnline) {
+            this._statusItem.label.text = _(`${mounted}/${total} mounted \u2022 Offline`) + queued;
+        } else {
+            this._statusItem.label.text = _(`${mounted}/${total} mounted \u2022 Check every ${interval}min`) + queued;
+        }
     
         // Update icon based on status
         if (total === 0) {
@@ -179,46 +809,97 @@ class NetworkMountIndicator extends PanelMenu.Button {
         }
     }
     
+    _monitorBookmarkFiles() {
+        this._bookmarkMonitors = getBookmarkFilePaths().map(path => {
+            let monitor = Gio.File.new_for_path(path).monitor_file(Gio.FileMonitorFlags.NONE, null);
+            monitor.connect('changed', () => {
+                // Editors and GTK replace the file in several steps - reload once they settle
+                if (this._bookmarksReloadId) {
+                    GLib.source_remove(this._bookmarksReloadId);
+                }
+                this._bookmarksReloadId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
+                    this._bookmarksReloadId = null;
+                    this._loadBookmarks();
+                    return GLib.SOURCE_REMOVE;
+                });
+            });
+            return monitor;
+        });
+    }
+    
     _loadBookmarks() {
         try {
-            let bookmarksFile = Gio.File.new_for_path(
-                GLib.get_home_dir() + '/.config/gtk-3.0/bookmarks'
-            );
+            let entries = readShareEntries(this._settings.get_string('custom-shares'));
             
-            if (!bookmarksFile.query_exists(null)) {
-                this._updateBookmarksList([]);
-                return;
-            }
+            // Reuse existing bookmark objects so mount state survives a reload
+            let previousBookmarks = new Map(this._bookmarks.map(bookmark => [bookmark.uri, bookmark]));
+            let uris = new Set(entries.map(entry => entry.uri));
+            let removed = this._bookmarks.filter(bookmark => !uris.has(bookmark.uri));
+            removed.forEach(bookmark => this._forgetShare(bookmark));
+            this._mountCache.forEach((cached, uri) => {
+                if (!uris.has(uri)) this._mountCache.delete(uri);
+            });
             
-            let [success, contents] = bookmarksFile.load_contents(null);
-            if (!success) return;
-            
-            let bookmarkLines = new TextDecoder().decode(contents).split('\n');
-            this._bookmarks = bookmarkLines
-                .filter(line => line.trim() && line.includes('://') && !line.startsWith('file://'))
-                .map(line => {
-                    let [uri, ...nameParts] = line.trim().split(' ');
-                    let name = nameParts.join(' ') || this._extractNameFromUri(uri);
-                    return { 
-                        uri, 
-                        name, 
-                        enabled: true,
-                        createSymlink: false,
-                        symlinkPath: '',
-                        lastAttempt: 0,
-                        failCount: 0
-                    };
-                });
+            this._bookmarks = entries.map(({ uri, name, source }) => {
+                let bookmark = previousBookmarks.get(uri) || {
+                    uri,
+                    state: MountState.IDLE,
+                    nextRetry: 0,
+                    lastAttempt: 0,
+                    failCount: 0,
+                    hostUnreachable: false,
+                    unreachableCount: 0,
+                    credentialsRejected: false,
+                    stale: false,
+                    healthCheckRunning: false,
+                    pausedUntil: 0,
+                    blockedBy: [],
+                    dependencyCycle: false,
+                    inSchedule: null
+                };
+                return Object.assign(bookmark, { name, source }, getShareDefaults());
+            });
                 
             this._loadBookmarkSettings();
+            this._refreshMountCache();
             this._updateBookmarksList();
             
+            // Links of removed shares have nobody left to look after them
+            if (removed.length > 0) {
+                let removedUris = new Set(removed.map(bookmark => bookmark.uri));
+                [...this._symlinkManifest].forEach(([path, entry]) => {
+                    if (removedUris.has(entry.uri)) this._deleteOwnedLink(path);
+                });
+            }
+            
+            this._bookmarks.forEach(bookmark => {
+                if (!previousBookmarks.has(bookmark.uri) && !this._isLocationMounted(bookmark.uri)) {
+                    this._lookupMount(bookmark);
+                }
+            });
+            
         } catch (e) {
             console.error('Error loading bookmarks:', e);
             this._bookmarks = [];
         }
     }
     
+    _forgetShare(bookmark) {
+        // The share left the list: nothing retries or mounts it any more. A custom share the
+        // extension mounted is listed nowhere else, so it is unmounted rather than left behind.
+        this._cancelRetry(bookmark);
+        this._cancelPauseTimeout(bookmark);
+        this._cancelOperation(bookmark);
+        this._releasedShares.delete(bookmark.uri);
+        this._ejectedShares.delete(bookmark.uri);
+        
+        if (bookmark.source === 'custom' && this._mountedLocations.has(bookmark.uri) &&
+            this._isLocationMounted(bookmark.uri)) {
+            console.log(`${bookmark.name} was removed, unmounting`);
+            this._unmountLocation(bookmark, false, true);
+        }
+    }
+    
     _loadBookmarkSettings() {
         try {
             let settingsStr = this._settings.get_string('bookmark-settings');
@@ -228,11 +909,11 @@ class NetworkMountIndicator extends PanelMenu.Button {
             this._bookmarks.forEach(bookmark => {
                 let settings = bookmarkSettings[bookmark.uri];
                 if (settings) {
-                    bookmark.enabled = settings.enabled !== false;
-                    bookmark.createSymlink = settings.createSymlink || false;
-                    bookmark.symlinkPath = settings.symlinkPath || '';
+                    Object.assign(bookmark, parseShareSettings(settings));
                 }
             });
+            this._updateDependencyGraph();
+            this._checkSymlinkCollisions();
         } catch (e) {
             console.error('Error loading bookmark settings:', e);
         }
@@ -240,38 +921,19 @@ class NetworkMountIndicator extends PanelMenu.Button {
     
     _saveBookmarkSettings() {
         try {
-            let bookmarkSettings = {};
-            this._bookmarks.forEach(bookmark => {
-                bookmarkSettings[bookmark.uri] = {
-                    enabled: bookmark.enabled,
-                    createSymlink: bookmark.createSymlink,
-                    symlinkPath: bookmark.symlinkPath
-                };
-            });
-            
-            this._settings.set_string('bookmark-settings', JSON.stringify(bookmarkSettings));
+            this._settings.set_string('bookmark-settings', serializeShareSettings(this._bookmarks));
         } catch (e) {
             console.error('Error saving bookmark settings:', e);
         }
     }
     
-    _extractNameFromUri(uri) {
-        try {
-            let parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
-            let path = parsed.get_path() || '';
-            let host = parsed.get_host() || 'unknown';
-            return path.length > 1 ? `${host}${path}` : host;
-        } catch (e) {
-            return uri;
-        }
-    }
-    
     _updateBookmarksList() {
         this._bookmarksSection.removeAll();
         this._bookmarkMenuItems.clear();
+        this._groupMenuItems.clear();
         
         if (this._bookmarks.length === 0) {
-            let noBookmarksItem = new PopupMenu.PopupMenuItem(_('No network bookmarks found'), {
+            let noBookmarksItem = new PopupMenu.PopupMenuItem(_('No network shares found'), {
                 reactive: false,
                 style_class: 'popup-menu-item-inactive'
             });
@@ -280,20 +942,94 @@ class NetworkMountIndicator extends PanelMenu.Button {
             return;
         }
         
+        // Ungrouped shares first, then one collapsible section per group
+        let groups = new Map();
         this._bookmarks.forEach((bookmark, index) => {
             // Check and update symlinks only for bookmarks with symlink enabled
-            if (this._isLocationMounted(bookmark.uri) && bookmark.createSymlink) {
+            if (this._isLocationMounted(bookmark.uri) && this._hasSymlinks(bookmark)) {
                 this._createSymlink(bookmark);
             }
             
             // Create collapsible bookmark item
             let submenuItem = this._createBookmarkSubmenu(bookmark, index);
-            this._bookmarksSection.addMenuItem(submenuItem);
+            if (!bookmark.group) {
+                this._bookmarksSection.addMenuItem(submenuItem);
+                return;
+            }
+            
+            if (!groups.has(bookmark.group)) groups.set(bookmark.group, []);
+            groups.get(bookmark.group).push(submenuItem);
+        });
+        
+        [...groups.keys()].sort((a, b) => a.localeCompare(b)).forEach(name => {
+            let section = this._createGroupSection(name);
+            groups.get(name).forEach(submenuItem => section.addMenuItem(submenuItem));
+            this._updateGroupHeader(name);
         });
         
         this._updateStatus();
     }
     
+    _createGroupSection(name) {
+        let section = new PopupMenu.PopupMenuSection();
+        let header = new ShareGroupMenuItem(name, section, this._expandedGroups.has(name));
+        header.connect('toggled', (item, expanded) => {
+            if (expanded) {
+                this._expandedGroups.add(name);
+            } else {
+                this._expandedGroups.delete(name);
+            }
+        });
+        this._bookmarksSection.addMenuItem(header);
+        this._bookmarksSection.addMenuItem(section);
+        
+        // Group-wide controls
+        let shares = this._getGroupShares(name);
+        let autoMountItem = new PopupMenu.PopupSwitchMenuItem(_('Auto Mount Group'),
+            shares.every(bookmark => bookmark.enabled));
+        autoMountItem.connect('toggled', (item, state) => {
+            this._getGroupShares(name).forEach(bookmark => {
+                bookmark.enabled = state;
+            });
+            this._saveBookmarkSettings();
+        });
+        section.addMenuItem(autoMountItem);
+        
+        let mountItem = new PopupMenu.PopupMenuItem(_('Mount Group'));
+        mountItem.connect('activate', () => {
+            this._mountGroup(name);
+        });
+        section.addMenuItem(mountItem);
+        
+        let unmountItem = new PopupMenu.PopupMenuItem(_('Unmount Group'));
+        unmountItem.connect('activate', () => {
+            this._unmountGroup(name);
+        });
+        section.addMenuItem(unmountItem);
+        
+        this._groupMenuItems.set(name, { header, autoMountItem });
+        return section;
+    }
+    
+    _getGroupShares(name) {
+        return this._bookmarks.filter(bookmark => bookmark.group === name);
+    }
+    
+    _updateGroupHeader(name) {
+        let groupData = this._groupMenuItems.get(name);
+        if (!groupData) return;
+        
+        let shares = this._getGroupShares(name);
+        let mounted = shares.filter(bookmark => this._isLocationMounted(bookmark.uri)).length;
+        let busy = shares.filter(bookmark =>
+            this._operations.has(bookmark.uri) || bookmark.state === MountState.QUEUED).length;
+        
+        groupData.header.status.text = busy > 0 ?
+            _(`${mounted}/${shares.length} mounted \u2022 ${busy} busy`) :
+            _(`${mounted}/${shares.length} mounted`);
+        groupData.autoMountItem.setToggleState(shares.every(bookmark => bookmark.enabled));
+    }
+    
     _createBookmarkSubmenu(bookmark, index) {
         // Create the main submenu item
         let submenuItem = new PopupMenu.PopupSubMenuMenuItem(bookmark.name);
@@ -318,7 +1054,24 @@ class NetworkMountIndicator extends PanelMenu.Button {
         let isMounted = this._isLocationMounted(bookmark.uri);
         let statusSymbol = isMounted ? '\u{1f7e2}' : '\u26aa';
         
-        if (bookmark.failCount > 0) {
+        if (isMounted && bookmark.stale) {
+            statusSymbol = '\u{1f7e4}';
+        } else if (isMounted) {
+            // Mounted wins over any stale retry state
+        } else if (bookmark.state === MountState.PROBING || bookmark.state === MountState.MOUNTING) {
+            statusSymbol = '\u{1f535}';
+        } else if (bookmark.state === MountState.QUEUED) {
+            statusSymbol = '\u23f3';
+        } else if (bookmark.state === MountState.BLOCKED || bookmark.dependencyCycle) {
+            statusSymbol = '\u{1f517}';
+        } else if (bookmark.state === MountState.PAUSED) {
+            statusSymbol = '\u23f8\ufe0f';
+        } else if (bookmark.state === MountState.GIVEN_UP) {
+            statusSymbol = '\u{1f534}';
+        } else if (bookmark.hostUnreachable) {
+            // Retried in backoff, but told apart from shares that failed to mount
+            statusSymbol = '\u{1f7e0}';
+        } else if (bookmark.state === MountState.BACKOFF) {
             statusSymbol = '\u{1f7e1}';
         }
         
@@ -339,28 +1092,48 @@ class NetworkMountIndicator extends PanelMenu.Button {
             this._saveBookmarkSettings();
             this._updateStatus();
             this._updateMainItemLabel(submenuItem, bookmark);
+            if (bookmark.group) this._updateGroupHeader(bookmark.group);
         });
         submenu.addMenuItem(autoMountItem);
         
         // Mount status and controls
         let isMounted = this._isLocationMounted(bookmark.uri);
-        if (isMounted) {
+        let operation = this._operations.get(bookmark.uri);
+        let menuData = this._bookmarkMenuItems.get(bookmark.uri);
+        if (menuData) menuData.statusItem = null;
+        
+        if (operation) {
+            // Running mount or unmount, with elapsed time kept current by the progress ticker
+            let statusItem = new PopupMenu.PopupMenuItem(this._getOperationStatusText(bookmark, operation), {
+                reactive: false,
+                style_class: 'popup-menu-item-inactive'
+            });
+            submenu.addMenuItem(statusItem);
+            if (menuData) menuData.statusItem = statusItem;
+            
+            let cancelItem = new PopupMenu.PopupMenuItem(_('Cancel'));
+            cancelItem.connect('activate', () => {
+                this._cancelOperation(bookmark);
+            });
+            submenu.addMenuItem(cancelItem);
+            
+        } else if (isMounted) {
             // Show mounted status
-            let statusItem = new PopupMenu.PopupMenuItem(_('Status: Mounted'), {
+            let statusText = bookmark.stale ? _('Status: Stale (server not responding)') : _('Status: Mounted');
+            let statusItem = new PopupMenu.PopupMenuItem(statusText, {
                 reactive: false,
                 style_class: 'popup-menu-item-inactive'
             });
             submenu.addMenuItem(statusItem);
             
-            // Show symlink path if applicable
-            if (bookmark.createSymlink) {
-                let symlinkPath = this._getSymlinkPath(bookmark);
-                let symlinkItem = new PopupMenu.PopupMenuItem(_(`Linked to: ${symlinkPath}`), {
+            // Show symlink paths and their health, if applicable
+            this._getLinkEntries(bookmark).forEach(link => {
+                let symlinkItem = new PopupMenu.PopupMenuItem(this._describeLink(link), {
                     reactive: false,
                     style_class: 'popup-menu-item-inactive'
                 });
                 submenu.addMenuItem(symlinkItem);
-            }
+            });
             
             // Unmount button
             let unmountItem = new PopupMenu.PopupMenuItem(_('Unmount'));
@@ -369,11 +1142,50 @@ class NetworkMountIndicator extends PanelMenu.Button {
             });
             submenu.addMenuItem(unmountItem);
             
+        } else if (bookmark.state === MountState.QUEUED) {
+            // Waiting for a free mount slot or for another mount to the same host
+            let position = this._mountQueue.findIndex(entry => entry.bookmark === bookmark) + 1;
+            let statusItem = new PopupMenu.PopupMenuItem(
+                _(`Status: Queued (${position} of ${this._mountQueue.length})`), {
+                    reactive: false,
+                    style_class: 'popup-menu-item-inactive'
+                });
+            submenu.addMenuItem(statusItem);
+            
+            let cancelItem = new PopupMenu.PopupMenuItem(_('Cancel'));
+            cancelItem.connect('activate', () => {
+                this._cancelOperation(bookmark);
+            });
+            submenu.addMenuItem(cancelItem);
+            
         } else {
             // Show unmounted status
-            let statusText = bookmark.failCount > 0 ? 
-                _(`Status: Failed (${bookmark.failCount} attempts)`) : 
-                _('Status: Not Mounted');
+            let statusText;
+            let maxRetries = this._settings.get_int('retry-attempts');
+            if (bookmark.dependencyCycle) {
+                statusText = _('Status: Dependency cycle');
+            } else if (!this._isInSchedule(bookmark)) {
+                statusText = _('Status: Outside schedule');
+            } else if (bookmark.state === MountState.BLOCKED) {
+                statusText = _(`Status: Waiting for ${bookmark.blockedBy.join(', ')}`);
+            } else if (bookmark.state === MountState.PAUSED) {
+                statusText = _('Status: Paused by user');
+            } else if (bookmark.credentialsRejected) {
+                // Stays after the give-up cooldown, since automatic mounts keep skipping the share
+                statusText = _('Status: Credentials rejected');
+            } else if (bookmark.state === MountState.BACKOFF) {
+                statusText = bookmark.hostUnreachable ?
+                    _('Status: Host unreachable, retrying') :
+                    _(`Status: Retrying (attempt ${bookmark.failCount}/${maxRetries} failed)`);
+            } else if (bookmark.state === MountState.GIVEN_UP) {
+                statusText = _(`Status: Gave up after ${bookmark.failCount} attempts`);
+            } else if (!this._isOnAllowedNetwork(bookmark)) {
+                statusText = _('Status: Not on an allowed network');
+            } else if (bookmark.hostUnreachable) {
+                statusText = _('Status: Host unreachable');
+            } else {
+                statusText = _('Status: Not Mounted');
+            }
             
             let statusItem = new PopupMenu.PopupMenuItem(statusText, {
                 reactive: false,
@@ -381,10 +1193,43 @@ class NetworkMountIndicator extends PanelMenu.Button {
             });
             submenu.addMenuItem(statusItem);
             
+            // Next automatic attempt
+            if (bookmark.nextRetry > 0) {
+                let retryTime = GLib.DateTime.new_from_unix_local(Math.floor(bookmark.nextRetry / 1000));
+                let retryLabel = bookmark.state === MountState.GIVEN_UP ?
+                    _(`Retrying after: ${retryTime.format('%X')}`) :
+                    _(`Next retry: ${retryTime.format('%X')}`);
+                let retryItem = new PopupMenu.PopupMenuItem(retryLabel, {
+                    reactive: false,
+                    style_class: 'popup-menu-item-inactive'
+                });
+                submenu.addMenuItem(retryItem);
+            }
+            
+            if (bookmark.state === MountState.PAUSED) {
+                if (bookmark.pausedUntil > 0) {
+                    let resumeTime = GLib.DateTime.new_from_unix_local(Math.floor(bookmark.pausedUntil / 1000));
+                    let resumeTimeItem = new PopupMenu.PopupMenuItem(_(`Automount resumes at: ${resumeTime.format('%X')}`), {
+                        reactive: false,
+                        style_class: 'popup-menu-item-inactive'
+                    });
+                    submenu.addMenuItem(resumeTimeItem);
+                }
+                
+                let resumeItem = new PopupMenu.PopupMenuItem(_('Resume Automount'));
+                resumeItem.connect('activate', () => {
+                    this._resumeAutomount(bookmark);
+                    if (bookmark.enabled && this._networkOnline && this._isOnAllowedNetwork(bookmark)) {
+                        this._mountAfterDependencies(bookmark);
+                    }
+                });
+                submenu.addMenuItem(resumeItem);
+            }
+            
             // Mount button
             let mountItem = new PopupMenu.PopupMenuItem(_('Mount Now'));
             mountItem.connect('activate', () => {
-                this._mountLocation(bookmark);
+                this._mountAfterDependencies(bookmark, { isManual: true });
             });
             submenu.addMenuItem(mountItem);
         }
@@ -398,17 +1243,66 @@ class NetworkMountIndicator extends PanelMenu.Button {
         });
         submenu.addMenuItem(uriItem);
         
+        let sourceText = bookmark.source === 'custom' ?
+            _('Source: Added in extension settings') :
+            _('Source: Files bookmark');
+        let sourceItem = new PopupMenu.PopupMenuItem(sourceText, {
+            reactive: false,
+            style_class: 'popup-menu-item-inactive'
+        });
+        submenu.addMenuItem(sourceItem);
+        
         // Symlink configuration status
         if (bookmark.createSymlink) {
-            let symlinkConfigItem = new PopupMenu.PopupMenuItem(_('Symlink: Enabled'), {
+            let problem = this._symlinkProblems.get(this._getSymlinkPath(bookmark));
+            let symlinkConfigItem = new PopupMenu.PopupMenuItem(problem ? _(`Symlink: ${problem}`) : _('Symlink: Enabled'), {
                 reactive: false,
                 style_class: 'popup-menu-item-inactive'
             });
             submenu.addMenuItem(symlinkConfigItem);
         }
+        if (bookmark.links.length > 0) {
+            let linksItem = new PopupMenu.PopupMenuItem(_(`Subfolder links: ${bookmark.links.length}`), {
+                reactive: false,
+                style_class: 'popup-menu-item-inactive'
+            });
+            submenu.addMenuItem(linksItem);
+        }
+        
+        // Network restrictions
+        if (bookmark.networks.length > 0) {
+            let networksItem = new PopupMenu.PopupMenuItem(_(`Networks: ${bookmark.networks.join(', ')}`), {
+                reactive: false,
+                style_class: 'popup-menu-item-inactive'
+            });
+            submenu.addMenuItem(networksItem);
+        }
+        
+        if (bookmark.schedule.length > 0) {
+            let scheduleItem = new PopupMenu.PopupMenuItem(_(`Schedule: ${formatSchedule(bookmark.schedule)}`), {
+                reactive: false,
+                style_class: 'popup-menu-item-inactive'
+            });
+            submenu.addMenuItem(scheduleItem);
+        }
+        
+        // Dependencies
+        let parents = this._getDependencies(bookmark);
+        if (parents.length > 0) {
+            let dependsItem = new PopupMenu.PopupMenuItem(_(`Depends on: ${parents.map(parent => parent.name).join(', ')}`), {
+                reactive: false,
+                style_class: 'popup-menu-item-inactive'
+            });
+            submenu.addMenuItem(dependsItem);
+        }
+        
+        // Availability worked out from the mount history
+        this._addAvailabilitySummary(submenu, bookmark);
     }
     
     _updateBookmarkSubmenu(bookmark) {
+        if (bookmark.group) this._updateGroupHeader(bookmark.group);
+        
         let menuData = this._bookmarkMenuItems.get(bookmark.uri);
         if (!menuData) return;
         
@@ -420,291 +1314,1688 @@ class NetworkMountIndicator extends PanelMenu.Button {
     }
     
     _isLocationMounted(uri) {
+        return this._mountCache.has(uri);
+    }
+    
+    _getMount(uri) {
+        return this._mountCache.get(uri)?.mount || null;
+    }
+    
+    _getGvfsMountPath(uri) {
+        return this._mountCache.get(uri)?.path || null;
+    }
+    
+    _normalizeMountUri(uri) {
+        // Compare URIs without credentials, host case or trailing slashes
         try {
-            let file = Gio.File.new_for_uri(uri);
-            let mount = file.find_enclosing_mount(null);
-            return mount !== null;
+            let parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
+            let scheme = parsed.get_scheme() === 'ssh' ? 'sftp' : parsed.get_scheme();
+            let host = (parsed.get_host() || '').toLowerCase();
+            let path = parsed.get_path().replace(/\/+$/, '');
+            return `${scheme}://${host}:${parsed.get_port()}${path}`;
         } catch (e) {
-            return false;
+            return uri.replace(/\/+$/, '');
         }
     }
     
-    _getGvfsMountPath(uri) {
+    _mountContainsUri(mount, uri) {
+        let root = this._normalizeMountUri(mount.get_root().get_uri());
+        let target = this._normalizeMountUri(uri);
+        return target === root || target.startsWith(`${root}/`);
+    }
+    
+    _setCachedMount(bookmark, mount) {
+        // Returns true when the share went from unmounted to mounted or back
+        let cached = this._mountCache.get(bookmark.uri);
+        if (!mount) {
+            this._mountCache.delete(bookmark.uri);
+            return Boolean(cached);
+        }
+        if (cached?.mount === mount) return false;
+        
+        // The FUSE path comes from the local GVFS daemon, never from the server, and is resolved once per mount
+        let root = mount.get_root();
+        this._mountCache.set(bookmark.uri, { mount, rootUri: root.get_uri(), path: root.get_path() });
+        return !cached;
+    }
+    
+    _refreshMountCache() {
+        let mounts = this._volumeMonitor.get_mounts();
+        let rootUris = new Set(mounts.map(mount => mount.get_root().get_uri()));
+        let changed = [];
+        
+        this._bookmarks.forEach(bookmark => {
+            let mount = mounts.find(candidate => this._mountContainsUri(candidate, bookmark.uri)) || null;
+            
+            // Keep mounts found by an async lookup whose root URI doesn't match the share's textually
+            let cached = this._mountCache.get(bookmark.uri);
+            if (!mount && cached && rootUris.has(cached.rootUri)) mount = cached.mount;
+            
+            if (this._setCachedMount(bookmark, mount)) changed.push(bookmark);
+        });
+        
+        changed.forEach(bookmark => this._onMountPresenceChanged(bookmark));
+        if (changed.length > 0) this._updateStatus();
+    }
+    
+    async _lookupMount(bookmark) {
+        // Asks GVFS directly, for mounts the volume monitor hasn't reported (yet)
+        let mount = null;
         try {
-            let file = Gio.File.new_for_uri(uri);
-            let mount = file.find_enclosing_mount(null);
-            if (mount) {
-                let root = mount.get_root();
-                return root.get_path();
-            }
+            let file = Gio.File.new_for_uri(bookmark.uri);
+            mount = await file.find_enclosing_mount_async(GLib.PRIORITY_DEFAULT, this._cancellable);
         } catch (e) {
-            console.error('Error getting GVFS mount path:', e);
+            // NOT_FOUND just means the share isn't mounted
         }
-        return null;
+        
+        if (!mount || this._cancellable.is_cancelled()) return null;
+        if (this._setCachedMount(bookmark, mount)) {
+            this._onMountPresenceChanged(bookmark);
+            this._updateStatus();
+        }
+        return mount;
     }
     
-    _getSymlinkPath(bookmark) {
+    _onMountPresenceChanged(bookmark) {
+        // An in-flight operation settles the state itself
+        if (this._operations.has(bookmark.uri)) return;
+        
+        if (this._isLocationMounted(bookmark.uri)) {
+            console.log(`${bookmark.name} is now mounted`);
+            this._recordEvent(bookmark.uri, 'mounted', { external: true });
+            this._cancelRetry(bookmark);
+            bookmark.failCount = 0;
+            this._setMountState(bookmark, MountState.MOUNTED);
+            if (this._hasSymlinks(bookmark)) this._createSymlink(bookmark);
+            this._checkLinkTargets(bookmark);
+        } else {
+            console.log(`${bookmark.name} is no longer mounted`);
+            this._recordEvent(bookmark.uri, 'unmounted', { external: true });
+            bookmark.stale = false;
+            if (this._hasSymlinks(bookmark)) this._releaseSymlink(bookmark);
+            this._handleExternalUnmount(bookmark);
+        }
+        this._updateBookmarkSubmenu(bookmark);
+    }
+    
+    _handleExternalUnmount(bookmark) {
+        // A user eject is respected with a pause. Any other unmount - GVFS dropping the mount,
+        // the server, VPN or Wi-Fi going away, a suspend - is left to the usual checks and retries.
+        if (this._ejectedShares.delete(bookmark.uri)) {
+            this._pauseAutomount(bookmark);
+        } else {
+            console.log(`${bookmark.name} went away without an eject, it will be mounted again`);
+            this._setMountState(bookmark, MountState.IDLE);
+        }
+    }
+    
+    _getSymlinkBase() {
         let basePath = this._settings.get_string('custom-mount-base');
         if (!basePath) {
             basePath = GLib.get_home_dir() + '/NetworkMounts';
         }
-        
-        // Use symlinkPath or sanitized bookmark name
-        let linkName;
-        if (bookmark.symlinkPath) {
-            linkName = bookmark.symlinkPath;
-        } else {
-            linkName = this._sanitizeForFilename(bookmark.name);
+        return basePath.replace(/\/+$/, '');
+    }
+    
+    _getSymlinkPath(bookmark) {
+        let relative = expandSymlinkTemplate(bookmark, this._settings.get_string('symlink-template'));
+        return `${this._getSymlinkBase()}/${relative}`;
+    }
+    
+    _loadSymlinkManifest() {
+        // The manifest outlives the session so links left by a crash can be swept later
+        try {
+            let manifest = JSON.parse(this._settings.get_string('symlink-manifest') || '{}');
+            this._symlinkManifest = new Map(Object.entries(manifest).filter(([, entry]) =>
+                entry && typeof entry.uri === 'string' && typeof entry.target === 'string'));
+        } catch (e) {
+            console.error('Error loading symlink manifest:', e);
+            this._symlinkManifest = new Map();
         }
-        
-        return `${basePath}/${linkName}`;
     }
     
-    _sanitizeForFilename(name) {
-        // Replace problematic characters with safe alternatives
-        return name.replace(/[<>:"\/\\|?*]/g, '_')
-                  .replace(/\s+/g, '_')
-                  .replace(/_+/g, '_')
-                  .replace(/^_|_$/g, '');
+    _saveSymlinkManifest() {
+        try {
+            this._settings.set_string('symlink-manifest', JSON.stringify(Object.fromEntries(this._symlinkManifest)));
+        } catch (e) {
+            console.error('Error saving symlink manifest:', e);
+        }
     }
     
-    _createSymlink(bookmark) {
-        // Create symlink only if explicitly enabled
-        if (!bookmark.createSymlink) {
-            return true; // Not an error, just not requested
+    _queryLink(path) {
+        // Looks at the path itself rather than what a symlink points to; null if nothing is there
+        try {
+            return Gio.File.new_for_path(path).query_info(
+                'standard::type,standard::is-symlink,standard::symlink-target',
+                Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+                null
+            );
+        } catch (e) {
+            if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) return null;
+            throw e;
         }
+    }
+    
+    _isOwnedLink(path) {
+        // True while the path is still exactly the symlink the extension created there
+        let entry = this._symlinkManifest.get(path);
+        if (!entry) return false;
+        
+        let info = this._queryLink(path);
+        return Boolean(info && info.get_is_symlink() && info.get_symlink_target() === entry.target);
+    }
+    
+    _deleteOwnedLink(path) {
+        let entry = this._symlinkManifest.get(path);
+        if (!entry) return true;
         
         try {
-            let gvfsPath = this._getGvfsMountPath(bookmark.uri);
-            if (!gvfsPath) {
-                console.error('Could not get GVFS mount path for:', bookmark.name);
-                return false;
-            }
-            
-            let symlinkPath = this._getSymlinkPath(bookmark);
-            let symlinkDir = GLib.path_get_dirname(symlinkPath);
-            
-            // Create base directory if it doesn't exist
-            let baseDir = Gio.File.new_for_path(symlinkDir);
-            try {
-                baseDir.make_directory_with_parents(null);
-            } catch (e) {
-                // Directory might already exist
-                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
-                    console.error('Failed to create symlink directory:', e);
-                    return false;
-                }
+            if (this._isOwnedLink(path)) {
+                Gio.File.new_for_path(path).delete(null);
+                console.log(`Removed symlink: ${path}`);
+                this.emit('symlink-changed', entry.uri, path, false);
+                this._recordEvent(entry.uri, 'symlink-removed', { path, target: entry.target });
+                this._pruneLinkDirectories(path);
+            } else {
+                console.log(`Leaving ${path} alone, it was changed outside the extension`);
             }
-            
-            // Remove existing symlink if present
-            this._removeSymlink(bookmark);
-            
-            // Create the symbolic link
-            let symlinkFile = Gio.File.new_for_path(symlinkPath);
+        } catch (e) {
+            console.error(`Error removing symlink ${path}:`, e);
+            return false;
+        }
+        
+        this._symlinkManifest.delete(path);
+        this._saveSymlinkManifest();
+        return true;
+    }
+    
+    _pruneLinkDirectories(symlinkPath) {
+        // Removes directories a template created once they are empty, never the base itself
+        let basePath = this._getSymlinkBase();
+        let dir = GLib.path_get_dirname(symlinkPath);
+        while (dir.startsWith(`${basePath}/`)) {
+            let info = this._queryLink(dir);
+            if (info?.get_file_type() !== Gio.FileType.DIRECTORY) break;
             try {
-                symlinkFile.make_symbolic_link(gvfsPath, null);
-                this._symlinkPaths.set(bookmark.uri, symlinkPath);
-                console.log(`Created symlink: ${symlinkPath} → ${gvfsPath}`);
-                return true;
+                Gio.File.new_for_path(dir).delete(null);
             } catch (e) {
-                console.error(`Failed to create symlink for ${bookmark.name}:`, e);
-                return false;
+                break; // Not empty
             }
-            
-        } catch (e) {
-            console.error('Error creating symlink:', e);
-            return false;
+            dir = GLib.path_get_dirname(dir);
         }
     }
     
-    _removeSymlink(bookmark) {
+    _checkLinkDirectory(path) {
+        // Returns why links must not be created in path, or null if it is safe
+        let info;
         try {
-            let symlinkPath = this._symlinkPaths.get(bookmark.uri);
-            if (!symlinkPath) {
-                // Try to get the path even if not tracked
-                symlinkPath = this._getSymlinkPath(bookmark);
-            }
-            
-            let symlinkFile = Gio.File.new_for_path(symlinkPath);
-            if (symlinkFile.query_exists(null)) {
-                // Check if it's actually a symlink before removing
-                let info = symlinkFile.query_info('standard::is-symlink', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
-                if (info && info.get_is_symlink()) {
-                    symlinkFile.delete(null);
-                    console.log(`Removed symlink: ${symlinkPath}`);
-                }
-            }
-            
-            this._symlinkPaths.delete(bookmark.uri);
-            return true;
-            
+            info = Gio.File.new_for_path(path).query_info(
+                'standard::type,unix::uid,unix::mode',
+                Gio.FileQueryInfoFlags.NONE,
+                null
+            );
         } catch (e) {
-            console.error('Error removing symlink:', e);
-            return false;
+            return e.message;
         }
+        
+        if (info.get_file_type() !== Gio.FileType.DIRECTORY) {
+            return _(`${path} is not a directory`);
+        }
+        if (info.get_attribute_uint32('unix::uid') !== this._uid) {
+            return _(`${path} is not owned by you`);
+        }
+        if (info.get_attribute_uint32('unix::mode') & 0o002) {
+            return _(`${path} is writable by other users`);
+        }
+        return null;
     }
     
-    _mountLocation(bookmark, isRetry = false, isStartup = false) {
-        if (this._isLocationMounted(bookmark.uri)) {
-            // Even if already mounted, ensure symlink exists if requested
-            this._createSymlink(bookmark);
-            if (!isRetry && !isStartup) this._notify(_('Already Mounted'), bookmark.name);
-            return;
+    _prepareLinkDirectory(symlinkPath) {
+        // Creates the directories up to a link below the base and checks that they are safe to link into
+        let basePath = this._getSymlinkBase();
+        let linkDir = GLib.path_get_dirname(symlinkPath);
+        
+        // Links elsewhere only need an existing, safe parent
+        let belowBase = linkDir === basePath || linkDir.startsWith(`${basePath}/`);
+        let dirs = [linkDir];
+        if (belowBase) {
+            dirs = [basePath];
+            linkDir.slice(basePath.length).split('/').filter(part => part).forEach(part => {
+                dirs.push(`${dirs[dirs.length - 1]}/${part}`);
+            });
         }
         
+        // The directories that exist are checked before anything is created inside them
+        let existing = dirs.filter(dir => GLib.file_test(dir, GLib.FileTest.EXISTS));
+        for (let dir of existing) {
+            let problem = this._checkLinkDirectory(dir);
+            if (problem) return problem;
+        }
+        if (existing.length === dirs.length) return null;
+        
+        // Only directories below the base are created; a missing parent elsewhere is reported
+        if (!belowBase) return this._checkLinkDirectory(linkDir);
+        
         try {
-            let file = Gio.File.new_for_uri(bookmark.uri);
-            let mountOp = new Gio.MountOperation();
-            
-            file.mount_enclosing_volume(
-                Gio.MountMountFlags.NONE,
-                mountOp,
-                null,
-                (file, result) => {
-                    try {
-                        file.mount_enclosing_volume_finish(result);
-                        console.log(`Successfully mounted: ${bookmark.name}`);
-                        
-                        bookmark.failCount = 0;
-                        bookmark.lastAttempt = Date.now();
-                        this._mountedLocations.set(bookmark.uri, Date.now());
-                        
-                        // Create symlink after successful mount (if requested)
-                        const symlinkTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 1, () => {
-                            let symlinkCreated = this._createSymlink(bookmark);
-                            
-                            if (!isStartup) {
-                                let message = bookmark.createSymlink && symlinkCreated ? 
-                                    `${bookmark.name} → ${this._getSymlinkPath(bookmark)}` : 
-                                    bookmark.name;
-                                this._notify(_('Mounted Successfully'), message);
-                            }
-                            
-                            // Update the specific bookmark submenu
-                            this._updateBookmarkSubmenu(bookmark);
-                            this._updateStatus();
-                            
-                            this._timeoutIds.delete(symlinkTimeoutId);
-                            return GLib.SOURCE_REMOVE;
-                        });
-                        this._timeoutIds.add(symlinkTimeoutId);
-                        
-                    } catch (e) {
-                        console.error(`Failed to mount ${bookmark.name}:`, e);
-                        this._handleMountFailure(bookmark, e.message);
-                    }
-                }
-            );
+            Gio.File.new_for_path(linkDir).make_directory_with_parents(null);
         } catch (e) {
-            console.error(`Error mounting ${bookmark.name}:`, e);
-            this._handleMountFailure(bookmark, e.message);
+            // Created in the meantime
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+                return e.message;
+            }
         }
+        
+        for (let dir of dirs.filter(dir => !existing.includes(dir))) {
+            let problem = this._checkLinkDirectory(dir);
+            if (problem) return problem;
+        }
+        return null;
     }
     
-    _handleMountFailure(bookmark, errorMsg) {
-        bookmark.failCount++;
-        bookmark.lastAttempt = Date.now();
+    _resolveLinkDestination(destination) {
+        // Subfolder link paths may start with ~; relative ones live below the base directory
+        let path = destination.trim();
+        if (!path) return null;
         
-        let maxRetries = this._settings.get_int('retry-attempts');
-        if (bookmark.failCount <= maxRetries) {
-            // Schedule retry
-            let retryDelay = this._settings.get_int('retry-delay');
-            this._scheduleRetry(bookmark, retryDelay);
-            
-            this._notify(
-                _('Mount Failed - Retrying'), 
-                _(`${bookmark.name} (attempt ${bookmark.failCount}/${maxRetries})`), 
-                true
-            );
-        } else {
-            this._notify(
-                _('Mount Failed'), 
-                _(`${bookmark.name}: ${errorMsg}`), 
-                true
-            );
+        if (path === '~' || path.startsWith('~/')) {
+            path = GLib.get_home_dir() + path.slice(1);
+        } else if (!GLib.path_is_absolute(path)) {
+            path = `${this._getSymlinkBase()}/${path}`;
         }
         
-        this._updateBookmarkSubmenu(bookmark);
+        path = GLib.canonicalize_filename(path, null);
+        return path === '/' ? null : path;
     }
     
-    _scheduleRetry(bookmark, delaySecs) {
-        const retryTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, delaySecs, () => {
-            if (bookmark.enabled && !this._isLocationMounted(bookmark.uri)) {
-                this._mountLocation(bookmark, true, this._startupMountInProgress);
-            }
-            this._timeoutIds.delete(retryTimeoutId);
-            return GLib.SOURCE_REMOVE;
+    _getLinkEntries(bookmark) {
+        // The share's main symlink and its subfolder links, as {path, subPath}
+        let links = [];
+        if (bookmark.createSymlink) {
+            links.push({ path: this._getSymlinkPath(bookmark), subPath: '' });
+        }
+        
+        bookmark.links.forEach(link => {
+            let path = this._resolveLinkDestination(link.destination);
+            if (!path) return;
+            
+            let subPath = link.subPath.split('/')
+                .filter(segment => segment && segment !== '.' && segment !== '..')
+                .join('/');
+            links.push({ path, subPath });
         });
-        this._timeoutIds.add(retryTimeoutId);
+        return links;
     }
     
-    _unmountLocation(bookmark) {
-        try {
-            let file = Gio.File.new_for_uri(bookmark.uri);
-            let mount = file.find_enclosing_mount(null);
-            
-            if (mount) {
-                // Remove symlink before unmounting (if it was created)
-                if (bookmark.createSymlink) {
-                    this._removeSymlink(bookmark);
-                }
-                
-                mount.unmount_with_operation(
-                    Gio.MountUnmountFlags.NONE,
-                    null,
-                    null,
-                    (mount, result) => {
-                        try {
-                            mount.unmount_with_operation_finish(result);
-                            console.log(`Successfully unmounted: ${bookmark.name}`);
-                            
-                            this._mountedLocations.delete(bookmark.uri);
-                            this._notify(_('Unmounted'), bookmark.name);
-                            
-                            // Update the specific bookmark submenu
-                            this._updateBookmarkSubmenu(bookmark);
-                            this._updateStatus();
-                            
-                        } catch (e) {
-                            console.error(`Failed to unmount ${bookmark.name}:`, e);
-                            this._notify(_('Unmount Failed'), `${bookmark.name}: ${e.message}`, true);
-                        }
-                    }
-                );
-            } else {
-                // If not mounted, still try to clean up any stale symlinks
-                if (bookmark.createSymlink) {
-                    this._removeSymlink(bookmark);
-                }
-                this._notify(_('Not Mounted'), bookmark.name);
-            }
-        } catch (e) {
-            console.error(`Error unmounting ${bookmark.name}:`, e);
-        }
+    _hasSymlinks(bookmark) {
+        return this._getLinkEntries(bookmark).length > 0;
     }
     
-    _checkAndMountAll(manual = false, isStartup = false) {
-        let mounted = 0;
-        let total = 0;
-        this._loadBookmarks();
-        this._updateStatus();
-        
-        // Process ALL bookmarks for symlink management, but only mount enabled ones
+    _isWantedLink(symlinkPath, uri) {
+        let bookmark = this._findBookmark(uri);
+        return Boolean(bookmark) && this._getLinkEntries(bookmark).some(link => link.path === symlinkPath);
+    }
+    
+    _getSymlinkOwner(symlinkPath) {
+        // The first share in the list keeps a contested link name
+        return this._bookmarks.find(bookmark =>
+            this._getLinkEntries(bookmark).some(link => link.path === symlinkPath)) || null;
+    }
+    
+    _checkSymlinkCollisions() {
+        let byPath = new Map();
         this._bookmarks.forEach(bookmark => {
-            if (bookmark.enabled) {
+            this._getLinkEntries(bookmark).forEach(link => {
+                if (!byPath.has(link.path)) byPath.set(link.path, new Set());
+                byPath.get(link.path).add(bookmark);
+            });
+        });
+        
+        let collisions = [...byPath].filter(([, bookmarks]) => bookmarks.size > 1);
+        let report = collisions.map(([path, bookmarks]) =>
+            `${[...bookmarks].map(bookmark => bookmark.name).join(', ')} → ${path}`).join('; ');
+        if (report && report !== this._reportedCollisions) {
+            console.warn(`Shares share a symlink name: ${report}`);
+            this._notify(_('Symlink Name Collision'), report, true);
+        }
+        this._reportedCollisions = report;
+    }
+    
+    _setSymlinkProblem(bookmark, symlinkPath, problem) {
+        // Each distinct problem is notified once; the submenu keeps showing it
+        let previous = this._symlinkProblems.get(symlinkPath);
+        if (problem) {
+            this._symlinkProblems.set(symlinkPath, problem);
+        } else {
+            this._symlinkProblems.delete(symlinkPath);
+        }
+        if (!problem || problem === previous) return;
+        
+        console.warn(`Not creating symlink for ${bookmark.name}: ${problem}`);
+        this._notify(_('Symlink Not Created'), `${bookmark.name}: ${problem}`, true);
+    }
+    
+    _createSymlink(bookmark) {
+        // Create symlinks only if explicitly requested
+        let links = this._getLinkEntries(bookmark);
+        if (links.length === 0) {
+            return true; // Not an error, just not requested
+        }
+        
+        let gvfsPath = this._getGvfsMountPath(bookmark.uri);
+        if (!gvfsPath) {
+            console.error('Could not get GVFS mount path for:', bookmark.name);
+            return false;
+        }
+        
+        this._dropUnwantedLinks(bookmark, links);
+        return links
+            .map(link => this._pointSymlink(bookmark, link.path, link.subPath ? `${gvfsPath}/${link.subPath}` : gvfsPath))
+            .every(created => created);
+    }
+    
+    _describeLink(link) {
+        let problem = this._symlinkProblems.get(link.path);
+        if (problem) return _(`Not linked: ${problem}`);
+        if (this._missingLinkTargets.has(link.path)) {
+            return _(`Linked to: ${link.path} (${link.subPath} missing on share)`);
+        }
+        return _(`Linked to: ${link.path}`);
+    }
+    
+    async _checkLinkTargets(bookmark) {
+        // A subfolder link is only useful while its folder exists on the share
+        let mount = this._getMount(bookmark.uri);
+        let links = this._getLinkEntries(bookmark).filter(link => link.subPath);
+        if (!mount || links.length === 0) return;
+        
+        let root = mount.get_root();
+        let changed = false;
+        for (let link of links) {
+            let exists = true;
+            try {
+                await root.resolve_relative_path(link.subPath).query_info_async('standard::type',
+                    Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_LOW, this._cancellable);
+            } catch (e) {
+                if (this._cancellable.is_cancelled()) return;
+                exists = !e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND);
+            }
+            
+            if (exists === this._missingLinkTargets.has(link.path)) {
+                changed = true;
+                if (exists) {
+                    this._missingLinkTargets.delete(link.path);
+                } else {
+                    console.warn(`${link.subPath} does not exist on ${bookmark.name}, ${link.path} is dangling`);
+                    this._missingLinkTargets.add(link.path);
+                }
+            }
+        }
+        if (changed) this._updateBookmarkSubmenu(bookmark);
+    }
+    
+    _dropUnwantedLinks(bookmark, links) {
+        // Links this share left at paths it no longer uses, e.g. after a rename
+        [...this._symlinkManifest]
+            .filter(([path, entry]) => entry.uri === bookmark.uri && !links.some(link => link.path === path))
+            .forEach(([path]) => this._deleteOwnedLink(path));
+    }
+    
+    _pointSymlink(bookmark, symlinkPath, target) {
+        try {
+            let entry = this._symlinkManifest.get(symlinkPath);
+            if (entry && entry.uri === bookmark.uri && entry.target === target && this._isOwnedLink(symlinkPath)) {
+                this._setSymlinkProblem(bookmark, symlinkPath, null);
+                return true;
+            }
+            
+            let owner = this._getSymlinkOwner(symlinkPath);
+            if (owner && owner !== bookmark) {
+                this._setSymlinkProblem(bookmark, symlinkPath, _(`${symlinkPath} is already used by ${owner.name}`));
+                return false;
+            }
+            
+            let problem = this._prepareLinkDirectory(symlinkPath);
+            if (problem) {
+                this._setSymlinkProblem(bookmark, symlinkPath, problem);
+                return false;
+            }
+            
+            // Never replace something the extension did not create
+            if (this._queryLink(symlinkPath) && !this._isOwnedLink(symlinkPath)) {
+                this._symlinkManifest.delete(symlinkPath);
+                this._saveSymlinkManifest();
+                this._setSymlinkProblem(bookmark, symlinkPath, _(`${symlinkPath} already exists`));
+                return false;
+            }
+            
+            this._swapSymlink(symlinkPath, target);
+            this._symlinkManifest.set(symlinkPath, { uri: bookmark.uri, target });
+            this._saveSymlinkManifest();
+            this._setSymlinkProblem(bookmark, symlinkPath, null);
+            this.emit('symlink-changed', bookmark.uri, symlinkPath, true);
+            this._recordEvent(bookmark.uri, 'symlink-created', { path: symlinkPath, target });
+            console.log(`Created symlink: ${symlinkPath} → ${target}`);
+            return true;
+            
+        } catch (e) {
+            console.error(`Failed to create symlink for ${bookmark.name}:`, e);
+            this._setSymlinkProblem(bookmark, symlinkPath, e.message);
+            return false;
+        }
+    }
+    
+    _swapSymlink(symlinkPath, target) {
+        // Build the new link beside the old one and rename it over, so the path never goes missing
+        let symlinkFile = Gio.File.new_for_path(symlinkPath);
+        let tempFile = symlinkFile.get_parent().get_child(
+            `.${symlinkFile.get_basename()}.${GLib.uuid_string_random()}`);
+        
+        tempFile.make_symbolic_link(target, null);
+        try {
+            tempFile.move(symlinkFile,
+                Gio.FileCopyFlags.OVERWRITE | Gio.FileCopyFlags.NOFOLLOW_SYMLINKS, null, null);
+        } catch (e) {
+            try {
+                tempFile.delete(null);
+            } catch (deleteError) {
+                console.error(`Could not remove ${tempFile.get_path()}:`, deleteError);
+            }
+            throw e;
+        }
+    }
+    
+    _getPlaceholderPath(bookmark) {
+        // Keyed by URI so renaming a share or its link keeps the same directory
+        let checksum = GLib.compute_checksum_for_string(GLib.ChecksumType.SHA1, bookmark.uri, -1);
+        let name = sanitizeForFilename(bookmark.name) || 'share';
+        return `${getStateDir()}/placeholders/${name}-${checksum.slice(0, 8)}`;
+    }
+    
+    _linkPlaceholder(bookmark) {
+        let placeholderPath = this._getPlaceholderPath(bookmark);
+        try {
+            let placeholder = Gio.File.new_for_path(placeholderPath);
+            try {
+                placeholder.make_directory_with_parents(null);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+            }
+            
+            let marker = _(`${bookmark.name} (${bookmark.uri}) is not mounted.\n` +
+                'The files will be back here once Network Share Automount mounts it again.\n');
+            placeholder.get_child(PLACEHOLDER_MARKER).replace_contents(
+                new TextEncoder().encode(marker), null, false, Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+        } catch (e) {
+            console.error(`Could not prepare placeholder for ${bookmark.name}:`, e);
+            return false;
+        }
+        
+        // Every link of the share, subfolder links included, points at the same placeholder
+        let links = this._getLinkEntries(bookmark);
+        this._dropUnwantedLinks(bookmark, links);
+        return links
+            .map(link => this._pointSymlink(bookmark, link.path, placeholderPath))
+            .every(created => created);
+    }
+    
+    _releaseSymlink(bookmark) {
+        // Called when a share goes away; what is left at its link path depends on the share's policy
+        switch (bookmark.symlinkPolicy) {
+        case SymlinkPolicy.DANGLING:
+            return true;
+        case SymlinkPolicy.PLACEHOLDER:
+            return this._linkPlaceholder(bookmark);
+        default:
+            return this._removeSymlink(bookmark);
+        }
+    }
+    
+    _removeSymlink(bookmark) {
+        // Only links recorded in the manifest are ever deleted
+        let paths = [...this._symlinkManifest]
+            .filter(([, entry]) => entry.uri === bookmark.uri)
+            .map(([path]) => path);
+        return paths.every(path => this._deleteOwnedLink(path));
+    }
+    
+    _sweepOrphanedSymlinks() {
+        // Removes links left by a crash or by shares that no longer want them
+        [...this._symlinkManifest].forEach(([path, entry]) => {
+            if (!this._isWantedLink(path, entry.uri)) this._deleteOwnedLink(path);
+        });
+        
+        // Links of shares that are offline follow their policy, placeholders included
+        this._bookmarks.forEach(bookmark => {
+            if (this._hasSymlinks(bookmark) && !this._isLocationMounted(bookmark.uri)) {
+                this._releaseSymlink(bookmark);
+            }
+        });
+    }
+    
+    _getProbeAddress(uri) {
+        try {
+            let parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
+            let scheme = parsed.get_scheme().toLowerCase();
+            let host = parsed.get_host();
+            let port = parsed.get_port() > 0 ? parsed.get_port() : SHARE_PROTOCOLS[scheme];
+            
+            // Nothing sensible to probe for browse URIs or unknown protocols
+            if (!host || !port) return null;
+            
+            return { scheme, host, port };
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    async _probeHost(uri, operationCancellable) {
+        let address = this._getProbeAddress(uri);
+        if (!address) return true;
+        
+        let cancellable = new Gio.Cancellable();
+        let cancelledId = operationCancellable.connect(() => cancellable.cancel());
+        let probeTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, PROBE_TIMEOUT_SECONDS, () => {
+            probeTimeoutId = 0;
+            cancellable.cancel();
+            return GLib.SOURCE_REMOVE;
+        });
+        
+        try {
+            let client = new Gio.SocketClient({ timeout: PROBE_TIMEOUT_SECONDS });
+            let connection = await client.connect_async(
+                Gio.NetworkAddress.new(address.host, address.port), cancellable);
+            connection.close(null);
+            return true;
+        } catch (e) {
+            // SMB servers are often known only by NetBIOS name, which GVFS can resolve but DNS cannot
+            if (e.matches?.(Gio.ResolverError, Gio.ResolverError.NOT_FOUND) &&
+                address.scheme === 'smb' && !address.host.includes('.')) {
+                return true;
+            }
+            
+            console.log(`Host probe failed for ${address.host}:${address.port}: ${e.message}`);
+            return false;
+        } finally {
+            if (probeTimeoutId) GLib.source_remove(probeTimeoutId);
+            operationCancellable.disconnect(cancelledId);
+        }
+    }
+    
+    async _lookupCredentials(uri) {
+        try {
+            let secret = await Secret.password_lookup(CREDENTIALS_SCHEMA, { uri }, this._cancellable);
+            return secret ? JSON.parse(secret) : null;
+        } catch (e) {
+            if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                console.error('Error reading credentials from keyring:', e);
+            }
+            return null;
+        }
+    }
+    
+    async _storeCredentials(uri, name, credentials) {
+        try {
+            await Secret.password_store(CREDENTIALS_SCHEMA, { uri }, Secret.COLLECTION_DEFAULT,
+                _(`Network share ${name}`), JSON.stringify(credentials), this._cancellable);
+        } catch (e) {
+            console.error('Error saving credentials to keyring:', e);
+        }
+    }
+    
+    _waitForPromptSlot() {
+        // Resolves with a release function once every earlier interactive mount has finished
+        let previous = this._promptQueue;
+        let release;
+        this._promptQueue = new Promise(resolve => {
+            release = resolve;
+        });
+        return previous.then(() => release);
+    }
+    
+    _createInteractiveMountOperation() {
+        // ShellMountOperation only needs the source for its dialog icon
+        let source = {
+            get_icon: () => new Gio.ThemedIcon({ name: 'folder-remote-symbolic' })
+        };
+        return new ShellMountOperation.ShellMountOperation(source);
+    }
+    
+    _beginOperation(bookmark, kind) {
+        // Every mount and unmount can be cancelled by the user, by its timeout or by disable().
+        // Mounts arm their timeout themselves so credential lookups and prompts don't count.
+        let operation = {
+            kind,
+            cancellable: new Gio.Cancellable(),
+            startedAt: Date.now(),
+            timeoutSecs: bookmark.mountTimeout || this._settings.get_int('mount-timeout'),
+            timedOut: false,
+            timeoutId: 0
+        };
+        
+        if (kind !== 'mount') this._armOperationTimeout(operation);
+        this._operations.set(bookmark.uri, operation);
+        this._startProgressTicker();
+        return operation;
+    }
+    
+    _armOperationTimeout(operation) {
+        this._disarmOperationTimeout(operation);
+        operation.timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, operation.timeoutSecs, () => {
+            operation.timeoutId = 0;
+            operation.timedOut = true;
+            operation.cancellable.cancel();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+    
+    _disarmOperationTimeout(operation) {
+        if (operation.timeoutId) {
+            GLib.source_remove(operation.timeoutId);
+            operation.timeoutId = 0;
+        }
+    }
+    
+    _endOperation(bookmark, operation) {
+        this._disarmOperationTimeout(operation);
+        if (this._operations.get(bookmark.uri) === operation) {
+            this._operations.delete(bookmark.uri);
+        }
+    }
+    
+    _cancelOperation(bookmark) {
+        if (this._dequeueMount(bookmark)) return;
+        
+        let operation = this._operations.get(bookmark.uri);
+        if (operation) operation.cancellable.cancel();
+    }
+    
+    _throwIfCancelled(cancellable) {
+        if (cancellable.is_cancelled()) {
+            throw new GLib.Error(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED, 'Operation was cancelled');
+        }
+    }
+    
+    _getDependencies(bookmark) {
+        return bookmark.dependsOn
+            .map(uri => this._findBookmark(uri))
+            .filter(parent => parent && parent !== bookmark);
+    }
+    
+    _getDependents(bookmark) {
+        // Shares in a cycle are left out so walking dependents always ends
+        return this._bookmarks.filter(other =>
+            !other.dependencyCycle && other !== bookmark && other.dependsOn.includes(bookmark.uri));
+    }
+    
+    _updateDependencyGraph() {
+        // Flag shares that are part of a dependency cycle; they are never mounted automatically
+        let cycles = [];
+        let path = [];
+        let visited = new Set();
+        
+        let visit = bookmark => {
+            let start = path.indexOf(bookmark);
+            if (start >= 0) {
+                cycles.push(path.slice(start));
+                return;
+            }
+            if (visited.has(bookmark)) return;
+            
+            path.push(bookmark);
+            this._getDependencies(bookmark).forEach(visit);
+            path.pop();
+            visited.add(bookmark);
+        };
+        this._bookmarks.forEach(visit);
+        
+        let inCycle = new Set(cycles.flat());
+        this._bookmarks.forEach(bookmark => {
+            bookmark.dependencyCycle = inCycle.has(bookmark);
+        });
+        
+        let report = cycles.map(cycle => [...cycle, cycle[0]].map(bookmark => bookmark.name).join(' \u2192 ')).join('; ');
+        if (report && report !== this._reportedCycles) {
+            console.warn(`Dependency cycle between shares: ${report}`);
+            this._notify(_('Dependency Cycle'), report, true);
+        }
+        this._reportedCycles = report;
+    }
+    
+    _getMountOrder() {
+        // Parents before the shares depending on them, otherwise higher priority first
+        let byPriority = [...this._bookmarks].sort((a, b) => b.priority - a.priority);
+        let ordered = [];
+        let placed = new Set();
+        
+        let place = bookmark => {
+            if (placed.has(bookmark)) return;
+            placed.add(bookmark);
+            this._getDependencies(bookmark).forEach(place);
+            ordered.push(bookmark);
+        };
+        byPriority.forEach(place);
+        return ordered;
+    }
+    
+    async _mountAfterDependencies(bookmark, options = {}) {
+        // Mounts the shares this one depends on first; if one of them can't be mounted,
+        // this share is skipped instead of attempted. Resolves to true once it is mounted.
+        if (bookmark.dependencyCycle) {
+            if (options.isManual) this._notify(_('Dependency Cycle'), bookmark.name, true);
+            return false;
+        }
+        
+        let parents = this._getDependencies(bookmark);
+        if (parents.length > 0 && !this._isLocationMounted(bookmark.uri)) {
+            let results = await Promise.all(parents.map(parent => this._mountDependency(parent, options)));
+            if (this._cancellable.is_cancelled()) return false;
+            
+            let failed = parents.filter((parent, i) => !results[i]);
+            if (failed.length > 0) {
+                bookmark.blockedBy = failed.map(parent => parent.name);
+                console.log(`Skipping ${bookmark.name}, ${bookmark.blockedBy.join(', ')} not mounted`);
+                this._cancelRetry(bookmark);
+                this._setMountState(bookmark, MountState.BLOCKED);
+                this._updateBookmarkSubmenu(bookmark);
+                if (options.isManual) {
+                    this._notify(_('Dependency Not Mounted'),
+                        _(`${bookmark.name} needs ${bookmark.blockedBy.join(', ')}`), true);
+                }
+                return false;
+            }
+        }
+        
+        bookmark.blockedBy = [];
+        return this._queueMount(bookmark, options);
+    }
+    
+    _mountDependency(parent, options) {
+        if (this._isLocationMounted(parent.uri)) return Promise.resolve(true);
+        if (!this._isOnAllowedNetwork(parent)) return Promise.resolve(false);
+        
+        // Automatic mounts leave parents in backoff, given up or paused alone
+        if (!options.isManual && !this._canAutoMount(parent) && !this._pendingMounts.has(parent.uri)) {
+            return Promise.resolve(false);
+        }
+        return this._mountAfterDependencies(parent, options);
+    }
+    
+    _mountBlockedDependents(bookmark) {
+        // A parent came up after the shares depending on it were skipped
+        this._getDependents(bookmark).forEach(dependent => {
+            if (dependent.state === MountState.BLOCKED && dependent.enabled && this._isOnAllowedNetwork(dependent)) {
+                this._mountAfterDependencies(dependent, { isRetry: true });
+            }
+        });
+    }
+    
+    _queueMount(bookmark, { isRetry = false, isStartup = false, isManual = false, isInteractive = isManual } = {}) {
+        // Single entry point for mounts. At most max-concurrent-mounts run at once, and mounts
+        // to the same host run one after another so later ones reuse the first one's authentication.
+        // Manual mounts may prompt for credentials unless isInteractive is false, as for D-Bus callers.
+        // Resolves to true once the share is mounted.
+        let pending = this._pendingMounts.get(bookmark.uri);
+        if (pending) {
+            if (isInteractive && this._mountQueue.includes(pending)) pending.isInteractive = true;
+            if (isManual && !pending.isManual && this._mountQueue.includes(pending)) {
+                // Move ahead of the automatic mounts
+                this._mountQueue.splice(this._mountQueue.indexOf(pending), 1);
+                pending.isManual = true;
+                this._insertQueueEntry(pending);
+                this._pumpMountQueue();
+            }
+            return pending.promise;
+        }
+        
+        // Nothing to wait for: already mounted, or a mount or unmount is running
+        if (this._isLocationMounted(bookmark.uri) || this._operations.has(bookmark.uri)) {
+            return this._mountLocation(bookmark, isRetry, isStartup, isManual, isInteractive);
+        }
+        
+        // Automatic mounts that _mountLocation would refuse anyway don't take a place in line,
+        // and none start while automount is paused or outside the share's schedule
+        if (!isManual && (bookmark.credentialsRejected || this._isHeldByLock(bookmark) ||
+            this._isAutomountPaused() || !this._isInSchedule(bookmark))) {
+            return Promise.resolve(false);
+        }
+        
+        // A manual mount of a share that was given up on starts a fresh retry cycle
+        if (isManual && bookmark.state === MountState.GIVEN_UP) {
+            bookmark.failCount = 0;
+        }
+        
+        let entry = { bookmark, isRetry, isStartup, isManual, isInteractive, host: this._getHostKey(bookmark.uri) };
+        entry.promise = new Promise(resolve => {
+            entry.resolve = resolve;
+        });
+        this._pendingMounts.set(bookmark.uri, entry);
+        this._insertQueueEntry(entry);
+        this._setMountState(bookmark, MountState.QUEUED);
+        this._pumpMountQueue();
+        return entry.promise;
+    }
+    
+    _insertQueueEntry(entry) {
+        let index = entry.isManual ? this._mountQueue.findIndex(other => !other.isManual) : -1;
+        if (index < 0) {
+            this._mountQueue.push(entry);
+        } else {
+            this._mountQueue.splice(index, 0, entry);
+        }
+    }
+    
+    _getHostKey(uri) {
+        try {
+            let parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
+            return (parsed.get_host() || uri).toLowerCase();
+        } catch (e) {
+            return uri;
+        }
+    }
+    
+    _pumpMountQueue() {
+        let limit = Math.max(1, this._settings.get_int('max-concurrent-mounts'));
+        while (this._runningMounts < limit) {
+            let index = this._mountQueue.findIndex(entry => !this._activeHosts.has(entry.host));
+            if (index < 0) break;
+            
+            let [entry] = this._mountQueue.splice(index, 1);
+            this._runQueuedMount(entry);
+        }
+        
+        // Queue positions have moved
+        this._mountQueue.forEach(entry => this._updateBookmarkSubmenu(entry.bookmark));
+        this._updateStatus();
+    }
+    
+    async _runQueuedMount(entry) {
+        let { bookmark } = entry;
+        this._runningMounts++;
+        this._activeHosts.add(entry.host);
+        
+        let mounted = false;
+        try {
+            mounted = await this._mountLocation(bookmark, entry.isRetry, entry.isStartup, entry.isManual,
+                entry.isInteractive);
+        } finally {
+            this._runningMounts--;
+            this._activeHosts.delete(entry.host);
+        }
+        
+        this._pendingMounts.delete(bookmark.uri);
+        if (this._cancellable.is_cancelled()) {
+            entry.resolve(false);
+            return;
+        }
+        
+        // Skipped without starting, e.g. another operation got there first
+        if (bookmark.state === MountState.QUEUED) {
+            this._setMountState(bookmark, MountState.IDLE);
+        }
+        entry.resolve(mounted);
+        this._pumpMountQueue();
+        if (mounted) this._mountBlockedDependents(bookmark);
+    }
+    
+    _dequeueMount(bookmark) {
+        let index = this._mountQueue.findIndex(entry => entry.bookmark === bookmark);
+        if (index < 0) return false;
+        
+        let [entry] = this._mountQueue.splice(index, 1);
+        this._pendingMounts.delete(bookmark.uri);
+        console.log(`Queued mount of ${bookmark.name} cancelled`);
+        this._setMountState(bookmark, MountState.IDLE);
+        entry.resolve(false);
+        this._pumpMountQueue();
+        return true;
+    }
+    
+    async _mountLocation(bookmark, isRetry = false, isStartup = false, isManual = false, isInteractive = isManual) {
+        // Resolves to true once the share is mounted
+        if (this._isLocationMounted(bookmark.uri)) {
+            // Even if already mounted, ensure symlink exists if requested
+            this._setMountState(bookmark, MountState.MOUNTED);
+            this._createSymlink(bookmark);
+            if (!isRetry && !isStartup) this._notify(_('Already Mounted'), bookmark.name);
+            return true;
+        }
+        
+        // Another operation is already running for this share
+        if (this._operations.has(bookmark.uri)) return false;
+        
+        if (!isManual && this._isHeldByLock(bookmark)) return false;
+        
+        // Don't keep retrying credentials the server refused (risks locking the account)
+        if (bookmark.credentialsRejected && !isInteractive) return false;
+        
+        // A mount replaces any pending retry
+        this._cancelRetry(bookmark);
+        
+        let operation = this._beginOperation(bookmark, 'mount');
+        let cancellable = operation.cancellable;
+        let shellMountOp = null;
+        let releasePrompt = null;
+        let mountOp = null;
+        
+        try {
+            // Fail fast on unreachable hosts instead of waiting for the GVFS timeout. They are retried
+            // with backoff like any failure, but without using up the share's retry attempts.
+            this._setMountState(bookmark, MountState.PROBING);
+            let reachable = await this._probeHost(bookmark.uri, cancellable);
+            this._throwIfCancelled(cancellable);
+            
+            if (!reachable) {
+                bookmark.hostUnreachable = true;
+                bookmark.unreachableCount++;
+                bookmark.lastAttempt = Date.now();
+                this._recordEvent(bookmark.uri, 'mount-failed', {
+                    error: { domain: null, code: null, message: 'Host unreachable' },
+                    duration: Date.now() - operation.startedAt
+                });
+                if (isManual) {
+                    this._notify(_('Host Unreachable'), bookmark.name, true);
+                }
+                this._scheduleRetry(bookmark, this._getRetryDelay(bookmark.unreachableCount));
+                return false;
+            }
+            bookmark.hostUnreachable = false;
+            bookmark.unreachableCount = 0;
+            this._setMountState(bookmark, MountState.MOUNTING);
+            
+            let credentials = await this._lookupCredentials(bookmark.uri);
+            this._throwIfCancelled(cancellable);
+            
+            // User-initiated mounts may prompt through the Shell's own dialog, one prompt at a time.
+            // Periodic and startup checks and D-Bus callers stay non-interactive.
+            let interactive = isInteractive && (!credentials || bookmark.credentialsRejected);
+            if (interactive) {
+                releasePrompt = await this._waitForPromptSlot();
+                this._throwIfCancelled(cancellable);
+                
+                if (this._isLocationMounted(bookmark.uri)) {
+                    this._setMountState(bookmark, MountState.MOUNTED);
+                    return true;
+                }
+                
+                shellMountOp = this._createInteractiveMountOperation();
+                mountOp = shellMountOp.mountOp;
+                
+                // The timeout stops while the user is answering the dialog
+                for (let signal of ['ask-password', 'ask-question']) {
+                    mountOp.connect(signal, () => this._disarmOperationTimeout(operation));
+                }
+                mountOp.connect('reply', () => this._armOperationTimeout(operation));
+            } else {
+                mountOp = new KeyringMountOperation(credentials);
+            }
+            
+            let file = Gio.File.new_for_uri(bookmark.uri);
+            this._armOperationTimeout(operation);
+            await file.mount_enclosing_volume(Gio.MountMountFlags.NONE, mountOp, cancellable);
+            this._disarmOperationTimeout(operation);
+            console.log(`Successfully mounted: ${bookmark.name}`);
+            
+            // The volume monitor may not have reported the new mount yet
+            await this._lookupMount(bookmark);
+            this._throwIfCancelled(cancellable);
+            
+            // "Remember password" in the Shell dialog also enables unattended mounts
+            if (interactive && mountOp.get_password_save() === Gio.PasswordSave.PERMANENTLY &&
+                mountOp.get_password()) {
+                this._storeCredentials(bookmark.uri, bookmark.name, {
+                    user: mountOp.get_username() || '',
+                    domain: mountOp.get_domain() || '',
+                    password: mountOp.get_password()
+                });
+            }
+            
+            bookmark.failCount = 0;
+            bookmark.credentialsRejected = false;
+            bookmark.stale = false;
+            bookmark.lastAttempt = Date.now();
+            this._endOperation(bookmark, operation);
+            this._recordEvent(bookmark.uri, 'mounted', { duration: Date.now() - operation.startedAt });
+            this._setMountState(bookmark, MountState.MOUNTED);
+            this._mountedLocations.set(bookmark.uri, Date.now());
+            
+            // Create symlink after successful mount (if requested)
+            const symlinkTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 1, () => {
+                let symlinkCreated = this._createSymlink(bookmark);
+                
+                if (!isStartup) {
+                    let message = bookmark.createSymlink && symlinkCreated ? 
+                        `${bookmark.name} → ${this._getSymlinkPath(bookmark)}` : 
+                        bookmark.name;
+                    this._notify(_('Mounted Successfully'), message);
+                }
+                
+                // Update the specific bookmark submenu
+                this._updateBookmarkSubmenu(bookmark);
+                this._updateStatus();
+                
+                this._timeoutIds.delete(symlinkTimeoutId);
+                return GLib.SOURCE_REMOVE;
+            });
+            this._timeoutIds.add(symlinkTimeoutId);
+            return true;
+            
+        } catch (e) {
+            // The extension is being disabled
+            if (this._cancellable.is_cancelled()) return false;
+            
+            this._endOperation(bookmark, operation);
+            
+            // A non-interactive manual mount the server wants credentials for fails like refused credentials
+            let credentialsMissing = isManual && mountOp?.credentialsMissing;
+            let cancelled = !operation.timedOut && !credentialsMissing &&
+                (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED) ||
+                 e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.FAILED_HANDLED));
+            this._recordEvent(bookmark.uri, cancelled ? 'mount-cancelled' : 'mount-failed', {
+                error: this._describeError(e),
+                duration: Date.now() - operation.startedAt,
+                timedOut: operation.timedOut
+            });
+            
+            if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED) && operation.timedOut) {
+                console.error(`Mounting ${bookmark.name} timed out`);
+                this._handleMountFailure(bookmark, _('Timed out'));
+            } else if (credentialsMissing) {
+                console.log(`Mounting ${bookmark.name} needs credentials, none are stored`);
+                this._handleCredentialsRejected(bookmark, true);
+            } else if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED) ||
+                       e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.FAILED_HANDLED)) {
+                // Cancelled from the menu, or the user dismissed the password dialog
+                console.log(`Mount of ${bookmark.name} cancelled by user`);
+                this._setMountState(bookmark, MountState.IDLE);
+            } else if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.ALREADY_MOUNTED)) {
+                // Mounted elsewhere before the volume monitor told us
+                this._setMountState(bookmark, MountState.IDLE);
+                this._lookupMount(bookmark);
+            } else {
+                console.error(`Failed to mount ${bookmark.name}:`, e);
+                if (mountOp?.credentialsRejected) {
+                    this._handleCredentialsRejected(bookmark);
+                } else {
+                    this._handleMountFailure(bookmark, e.message);
+                }
+            }
+            return false;
+            
+        } finally {
+            if (shellMountOp) shellMountOp.close();
+            if (releasePrompt) releasePrompt();
+            this._endOperation(bookmark, operation);
+        }
+    }
+    
+    _setMountState(bookmark, state) {
+        if (bookmark.state === state) return;
+        
+        bookmark.state = state;
+        if (state !== MountState.BACKOFF && state !== MountState.GIVEN_UP) {
+            bookmark.nextRetry = 0;
+        }
+        if (state !== MountState.PAUSED) {
+            bookmark.pausedUntil = 0;
+            this._cancelPauseTimeout(bookmark);
+        }
+        this._updateBookmarkSubmenu(bookmark);
+        this.emit('share-state-changed', bookmark.uri, this._getShareState(bookmark));
+    }
+    
+    _getShareState(bookmark) {
+        // The recorded state can lag behind mounts and unmounts made outside the extension
+        if (this._isLocationMounted(bookmark.uri)) return MountState.MOUNTED;
+        return bookmark.state === MountState.MOUNTED ? MountState.IDLE : bookmark.state;
+    }
+    
+    _recordEvent(uri, event, details = {}) {
+        // Appends one JSON line to the history so drops can be looked into afterwards
+        let bookmark = this._findBookmark(uri);
+        let record = {
+            time: new Date().toISOString(),
+            uri,
+            share: bookmark ? bookmark.name : '',
+            event,
+            ...details
+        };
+        
+        this._historyRecords.push(record);
+        this._pruneHistory();
+        
+        // Written in batches, in order, once the history has been loaded
+        this._historyQueue.push(`${JSON.stringify(record)}\n`);
+        if (this._historyQueue.length === 1) {
+            this._historyWrite = this._historyWrite.then(() => this._writeHistory());
+        }
+    }
+    
+    _recordStart() {
+        // Start and stop records bound the time the statistics can vouch for; shares already mounted count as up
+        let mounted = this._bookmarks.filter(bookmark => this._isLocationMounted(bookmark.uri));
+        this._recordEvent('', 'started', { mounted: mounted.map(bookmark => bookmark.uri) });
+    }
+    
+    async _writeHistory() {
+        // Everything queued so far goes through one stream; the synchronous flush may have taken it already
+        let lines = this._historyQueue;
+        this._historyQueue = [];
+        if (lines.length === 0) return;
+        
+        try {
+            await this._rotateHistory();
+            let stream = await this._historyFile.append_to_async(Gio.FileCreateFlags.PRIVATE, GLib.PRIORITY_LOW, null);
+            await stream.write_bytes_async(new TextEncoder().encode(lines.join('')), GLib.PRIORITY_LOW, null);
+            await stream.close_async(GLib.PRIORITY_LOW, null);
+        } catch (e) {
+            console.error('Could not write mount history:', e);
+        }
+    }
+    
+    _flushHistorySync() {
+        // Disabling may mean the session is ending, so what is still queued can't wait for the main loop
+        let lines = this._historyQueue;
+        this._historyQueue = [];
+        if (lines.length === 0) return;
+        
+        try {
+            let stream = this._historyFile.append_to(Gio.FileCreateFlags.PRIVATE, null);
+            stream.write_all(new TextEncoder().encode(lines.join('')), null);
+            stream.close(null);
+        } catch (e) {
+            console.error('Could not write mount history:', e);
+        }
+    }
+    
+    async _rotateHistory() {
+        let now = Date.now();
+        
+        // No current file, either never written or cleared by preferences
+        if (this._historyStartedAt === null) {
+            try {
+                this._historyFile.get_parent().make_directory_with_parents(null);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) throw e;
+            }
+            this._historyStartedAt = now;
+            return;
+        }
+        
+        let longest = AVAILABILITY_PERIODS[AVAILABILITY_PERIODS.length - 1].seconds * 1000;
+        if (now - this._historyStartedAt <= longest) return;
+        
+        await this._historyFile.move_async(this._rotatedHistoryFile, Gio.FileCopyFlags.OVERWRITE, GLib.PRIORITY_LOW,
+            null, null);
+        this._historyStartedAt = now;
+    }
+    
+    async _loadHistory() {
+        // Statistics are worked out from memory; the files are only read once.
+        // Clearing the history in preferences clears the statistics too; rotation shows up as a move.
+        this._historyMonitor = this._historyFile.monitor_file(Gio.FileMonitorFlags.WATCH_MOVES, null);
+        this._historyMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
+            if (eventType !== Gio.FileMonitorEvent.DELETED) return;
+            this._historyRecords = [];
+            this._historyStartedAt = null;
+            this._bookmarks.forEach(bookmark => this._updateBookmarkSubmenu(bookmark));
+        });
+        
+        let decoder = new TextDecoder();
+        let files = [this._rotatedHistoryFile, this._historyFile];
+        let records = [];
+        
+        for (let file of files) {
+            let contents;
+            try {
+                [contents] = await file.load_contents_async(this._cancellable);
+            } catch (e) {
+                if (this._cancellable.is_cancelled()) return;
+                if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    console.error('Error reading mount history:', e);
+                }
+                continue;
+            }
+            
+            decoder.decode(contents).split('\n').forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    let record = JSON.parse(line);
+                    if (!record || !record.event || !record.time) return;
+                    records.push(record);
+                    if (file === this._historyFile) this._historyStartedAt ??= Date.parse(record.time);
+                } catch (e) {
+                    // A line cut short by a crash
+                }
+            });
+        }
+        
+        // Events recorded while loading are newer than anything on disk
+        this._historyRecords = [...records, ...this._historyRecords];
+        this._pruneHistory();
+        this._bookmarks.forEach(bookmark => this._updateBookmarkSubmenu(bookmark));
+    }
+    
+    _pruneHistory() {
+        let longest = AVAILABILITY_PERIODS[AVAILABILITY_PERIODS.length - 1].seconds * 1000;
+        let cutoff = Date.now() - longest;
+        
+        // Keep the last record before the cutoff; it tells the state at the start of the period
+        let firstKept = this._historyRecords.findIndex(record => Date.parse(record.time) >= cutoff);
+        if (firstKept < 0) firstKept = this._historyRecords.length;
+        if (firstKept > 1) this._historyRecords.splice(0, firstKept - 1);
+    }
+    
+    _addAvailabilitySummary(submenu, bookmark) {
+        let records = this._historyRecords.filter(record => !record.uri || record.uri === bookmark.uri);
+        let now = Date.now();
+        let stats = AVAILABILITY_PERIODS.map(period =>
+            computeAvailability(bookmark.uri, records, period.seconds * 1000, now));
+        if (stats.every(periodStats => periodStats.uptime === null)) return;
+        
+        let addLine = text => {
+            submenu.addMenuItem(new PopupMenu.PopupMenuItem(text, {
+                reactive: false,
+                style_class: 'popup-menu-item-inactive'
+            }));
+        };
+        
+        let uptimes = stats.map((periodStats, i) => {
+            let uptime = periodStats.uptime === null ? '\u2013' : `${(periodStats.uptime * 100).toFixed(1)}%`;
+            return `${uptime} ${AVAILABILITY_PERIODS[i].name}`;
+        });
+        addLine(_(`Uptime: ${uptimes.join(' \u2022 ')}`));
+        
+        // Details for the last week
+        let week = stats[1];
+        let details = [_(`${week.drops} drop(s) this week`)];
+        if (week.meanTimeToMount !== null) details.push(_(`mounts in ${formatDuration(week.meanTimeToMount)}`));
+        if (week.meanTimeBetweenFailures !== null) {
+            details.push(_(`MTBF ${formatDuration(week.meanTimeBetweenFailures)}`));
+        }
+        addLine(details.join(' \u2022 '));
+        
+        let lastFailure = stats[2].lastFailure;
+        if (lastFailure) {
+            let message = lastFailure.message ?? _('Not responding');
+            addLine(_(`Last failure: ${message} (${formatDuration(now - lastFailure.time)} ago)`));
+        }
+    }
+    
+    _describeError(error) {
+        // Keeps the GError domain and code so failures can be told apart after the fact
+        if (error instanceof GLib.Error) {
+            return { domain: GLib.quark_to_string(error.domain), code: error.code, message: error.message };
+        }
+        return { domain: null, code: null, message: String(error?.message ?? error) };
+    }
+    
+    _findBookmark(uri) {
+        return this._bookmarks.find(bookmark => bookmark.uri === uri) || null;
+    }
+    
+    _canAutoMount(bookmark) {
+        // Shares waiting for a retry, given up on, paused by the user or already being mounted are left alone.
+        // Shares skipped for a missing dependency get another go.
+        return bookmark.state === MountState.IDLE || bookmark.state === MountState.MOUNTED ||
+            bookmark.state === MountState.BLOCKED;
+    }
+    
+    _pauseAutomount(bookmark) {
+        // The user unmounted the share outside the extension; don't mount it straight back
+        let minutes = this._settings.get_int('unmount-pause-timeout');
+        this._cancelRetry(bookmark);
+        this._cancelPauseTimeout(bookmark);
+        bookmark.failCount = 0;
+        bookmark.pausedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : 0;
+        
+        console.log(`Automount paused for ${bookmark.name}` + (minutes > 0 ? ` for ${minutes} minutes` : ''));
+        this._setMountState(bookmark, MountState.PAUSED);
+        
+        if (minutes > 0) {
+            // Resume right when the submenu says, not at the next periodic check
+            const pauseTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, minutes * 60, () => {
+                this._timeoutIds.delete(pauseTimeoutId);
+                this._pauseTimeouts.delete(bookmark.uri);
+                this._resumeAutomount(bookmark);
+                
+                if (bookmark.enabled && this._networkOnline && this._isOnAllowedNetwork(bookmark) &&
+                    this._isInSchedule(bookmark) && !this._isLocationMounted(bookmark.uri)) {
+                    this._mountAfterDependencies(bookmark);
+                }
+                return GLib.SOURCE_REMOVE;
+            });
+            this._timeoutIds.add(pauseTimeoutId);
+            this._pauseTimeouts.set(bookmark.uri, pauseTimeoutId);
+        }
+    }
+    
+    _cancelPauseTimeout(bookmark) {
+        let timeoutId = this._pauseTimeouts.get(bookmark.uri);
+        if (timeoutId) {
+            GLib.source_remove(timeoutId);
+            this._timeoutIds.delete(timeoutId);
+            this._pauseTimeouts.delete(bookmark.uri);
+        }
+    }
+    
+    _resumeAutomount(bookmark) {
+        if (bookmark.state !== MountState.PAUSED) return;
+        
+        console.log(`Automount resumed for ${bookmark.name}`);
+        this._setMountState(bookmark, MountState.IDLE);
+    }
+    
+    _getRetryDelay(failCount) {
+        // Exponential backoff capped at retry-max-delay, with "equal jitter" so shares
+        // failing together don't all retry at the same moment
+        let baseDelay = this._settings.get_int('retry-delay');
+        let maxDelay = Math.max(baseDelay, this._settings.get_int('retry-max-delay'));
+        let delay = Math.min(maxDelay, baseDelay * Math.pow(2, failCount - 1));
+        
+        return Math.max(1, Math.round(delay / 2 + Math.random() * delay / 2));
+    }
+    
+    _handleMountFailure(bookmark, errorMsg) {
+        bookmark.failCount++;
+        bookmark.lastAttempt = Date.now();
+        
+        let maxRetries = this._settings.get_int('retry-attempts');
+        if (bookmark.failCount <= maxRetries) {
+            // Schedule retry
+            this._scheduleRetry(bookmark, this._getRetryDelay(bookmark.failCount));
+            
+            this._notify(
+                _('Mount Failed - Retrying'), 
+                _(`${bookmark.name} (attempt ${bookmark.failCount}/${maxRetries})`), 
+                true
+            );
+        } else {
+            this._giveUp(bookmark);
+            
+            this._notify(
+                _('Mount Failed'), 
+                _(`${bookmark.name}: ${errorMsg}`), 
+                true
+            );
+        }
+        
+        this._updateBookmarkSubmenu(bookmark);
+    }
+    
+    _handleCredentialsRejected(bookmark, missing = false) {
+        // Either way only a mount that can prompt, or new stored credentials, gets the share going again
+        bookmark.credentialsRejected = true;
+        bookmark.lastAttempt = Date.now();
+        this._giveUp(bookmark);
+        
+        if (missing) {
+            this._notify(
+                _('Credentials Needed'),
+                _(`${bookmark.name}: the server asks for credentials. Store them in the extension settings or mount it from the menu.`),
+                true
+            );
+        } else {
+            this._notify(
+                _('Credentials Rejected'),
+                _(`${bookmark.name}: the server refused the stored credentials. Update them in the extension settings.`),
+                true
+            );
+        }
+        
+        this._updateBookmarkSubmenu(bookmark);
+    }
+    
+    _scheduleRetry(bookmark, delaySecs) {
+        this._cancelRetry(bookmark);
+        
+        bookmark.nextRetry = Date.now() + delaySecs * 1000;
+        this._recordEvent(bookmark.uri, 'retry-scheduled', { attempt: bookmark.failCount, delay: delaySecs });
+        this._setMountState(bookmark, MountState.BACKOFF);
+        
+        const retryTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, delaySecs, () => {
+            this._timeoutIds.delete(retryTimeoutId);
+            this._retryQueue.delete(bookmark.uri);
+            this._setMountState(bookmark, MountState.IDLE);
+            
+            if (bookmark.enabled && this._networkOnline && this._isOnAllowedNetwork(bookmark) &&
+                !this._isLocationMounted(bookmark.uri)) {
+                this._mountAfterDependencies(bookmark, { isRetry: true, isStartup: this._startupMountInProgress });
+            }
+            return GLib.SOURCE_REMOVE;
+        });
+        this._timeoutIds.add(retryTimeoutId);
+        this._retryQueue.set(bookmark.uri, retryTimeoutId);
+    }
+    
+    _giveUp(bookmark) {
+        // Stop retrying for a while; the cooldown or a network change resets the share
+        this._cancelRetry(bookmark);
+        
+        let cooldownSecs = this._settings.get_int('retry-cooldown') * 60;
+        bookmark.nextRetry = Date.now() + cooldownSecs * 1000;
+        this._recordEvent(bookmark.uri, 'gave-up', { attempts: bookmark.failCount, cooldown: cooldownSecs });
+        this._setMountState(bookmark, MountState.GIVEN_UP);
+        
+        const cooldownTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, cooldownSecs, () => {
+            this._timeoutIds.delete(cooldownTimeoutId);
+            this._retryQueue.delete(bookmark.uri);
+            this._resetRetryState(bookmark);
+            return GLib.SOURCE_REMOVE;
+        });
+        this._timeoutIds.add(cooldownTimeoutId);
+        this._retryQueue.set(bookmark.uri, cooldownTimeoutId);
+    }
+    
+    _cancelRetry(bookmark) {
+        let timeoutId = this._retryQueue.get(bookmark.uri);
+        if (timeoutId) {
+            GLib.source_remove(timeoutId);
+            this._timeoutIds.delete(timeoutId);
+            this._retryQueue.delete(bookmark.uri);
+        }
+    }
+    
+    _resetRetryState(bookmark) {
+        // Back to idle with a clean slate; the next check may mount it again
+        if (bookmark.state !== MountState.BACKOFF && bookmark.state !== MountState.GIVEN_UP) return;
+        
+        this._cancelRetry(bookmark);
+        bookmark.failCount = 0;
+        bookmark.unreachableCount = 0;
+        this._setMountState(bookmark, MountState.IDLE);
+    }
+    
+    _unmountLocation(bookmark, force = false, quiet = force) {
+        // Resolves to true once the share is unmounted; force is used to drop stale mounts,
+        // quiet for unmounts the user didn't ask for. Joins an unmount already under way.
+        let pending = this._pendingUnmounts.get(bookmark.uri);
+        if (pending) return pending;
+        
+        pending = this._unmountWithDependents(bookmark, force, quiet).finally(() => {
+            this._pendingUnmounts.delete(bookmark.uri);
+        });
+        this._pendingUnmounts.set(bookmark.uri, pending);
+        return pending;
+    }
+    
+    async _unmountWithDependents(bookmark, force, quiet) {
+        // Shares depending on this one go first; they stop working without it
+        let dependents = this._getDependents(bookmark).filter(dependent => this._isLocationMounted(dependent.uri));
+        if (dependents.length > 0) {
+            let results = await Promise.all(dependents.map(dependent => this._unmountLocation(dependent, force, quiet)));
+            if (this._cancellable.is_cancelled()) return false;
+            
+            if (results.includes(false) && !force) {
+                this._notify(_('Unmount Failed'), _(`${bookmark.name}: shares depending on it are still mounted`), true);
+                return false;
+            }
+        }
+        
+        return this._unmountShare(bookmark, force, quiet);
+    }
+    
+    async _unmountShare(bookmark, force, quiet) {
+        let mount = this._getMount(bookmark.uri);
+        if (!mount) {
+            // If not mounted, still bring its symlink in line with the share's policy
+            if (this._hasSymlinks(bookmark)) {
+                this._releaseSymlink(bookmark);
+            }
+            if (!quiet) this._notify(_('Not Mounted'), bookmark.name);
+            return false;
+        }
+        
+        if (this._operations.has(bookmark.uri)) return false;
+        
+        // Release symlink before unmounting (if it was created)
+        if (this._hasSymlinks(bookmark)) {
+            this._releaseSymlink(bookmark);
+        }
+        
+        let operation = this._beginOperation(bookmark, 'unmount');
+        this._updateBookmarkSubmenu(bookmark);
+        
+        try {
+            let flags = force ? Gio.MountUnmountFlags.FORCE : Gio.MountUnmountFlags.NONE;
+            await mount.unmount_with_operation(flags, null, operation.cancellable);
+            console.log(`Successfully unmounted: ${bookmark.name}`);
+            
+            this._endOperation(bookmark, operation);
+            this._recordEvent(bookmark.uri, 'unmounted', { duration: Date.now() - operation.startedAt, force });
+            this._mountedLocations.delete(bookmark.uri);
+            this._mountCache.delete(bookmark.uri);
+            bookmark.stale = false;
+            this._setMountState(bookmark, MountState.IDLE);
+            if (!quiet) this._notify(_('Unmounted'), bookmark.name);
+            return true;
+            
+        } catch (e) {
+            // The extension is being disabled
+            if (this._cancellable.is_cancelled()) return false;
+            
+            let cancelled = !operation.timedOut && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED);
+            this._recordEvent(bookmark.uri, cancelled ? 'unmount-cancelled' : 'unmount-failed', {
+                error: this._describeError(e),
+                duration: Date.now() - operation.startedAt,
+                timedOut: operation.timedOut,
+                force
+            });
+            
+            if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                console.log(`Unmount of ${bookmark.name} ${operation.timedOut ? 'timed out' : 'cancelled'}`);
+                this._notify(operation.timedOut ? _('Unmount Timed Out') : _('Unmount Cancelled'),
+                    bookmark.name, operation.timedOut);
+            } else {
+                console.error(`Failed to unmount ${bookmark.name}:`, e);
+                this._notify(_('Unmount Failed'), `${bookmark.name}: ${e.message}`, true);
+            }
+            return false;
+            
+        } finally {
+            this._endOperation(bookmark, operation);
+            if (!this._cancellable.is_cancelled()) {
+                // Update the specific bookmark submenu
+                this._updateBookmarkSubmenu(bookmark);
+                this._updateStatus();
+            }
+        }
+    }
+    
+    async _runBatch(label, bookmarks, action) {
+        // Runs action on all bookmarks at once (mounts are paced by the mount queue),
+        // tracking aggregate progress for the status line
+        let batch = { label, total: bookmarks.length, done: 0, succeeded: 0 };
+        this._batches.add(batch);
+        this._updateStatus();
+        
+        await Promise.all(bookmarks.map(async bookmark => {
+            if (await action(bookmark)) batch.succeeded++;
+            batch.done++;
+            if (!this._cancellable.is_cancelled()) this._updateStatus();
+        }));
+        
+        this._batches.delete(batch);
+        if (!this._cancellable.is_cancelled()) this._updateStatus();
+        return batch;
+    }
+    
+    _startProgressTicker() {
+        // Refresh the elapsed time shown for running operations once a second
+        if (this._progressTickId) return;
+        
+        this._progressTickId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 1, () => {
+            this._operations.forEach((operation, uri) => {
+                let menuData = this._bookmarkMenuItems.get(uri);
+                if (menuData?.statusItem) {
+                    menuData.statusItem.label.text = this._getOperationStatusText(menuData.bookmark, operation);
+                }
+            });
+            
+            if (this._operations.size === 0) {
+                this._progressTickId = null;
+                return GLib.SOURCE_REMOVE;
+            }
+            return GLib.SOURCE_CONTINUE;
+        });
+    }
+    
+    _getOperationStatusText(bookmark, operation) {
+        let elapsed = Math.floor((Date.now() - operation.startedAt) / 1000);
+        if (operation.kind === 'unmount') {
+            return _(`Status: Unmounting\u2026 (${elapsed}s)`);
+        }
+        if (bookmark.state === MountState.PROBING) {
+            return _(`Status: Checking host\u2026 (${elapsed}s)`);
+        }
+        return _(`Status: Mounting\u2026 (${elapsed}s)`);
+    }
+    
+    _checkAndMountAll(manual = false, isStartup = false, ignoreOffline = false) {
+        let mounted = 0;
+        let total = 0;
+        this._loadBookmarks();
+        this._updateStatus();
+        
+        // Skip mount attempts while offline - the network monitor remounts on reconnect
+        if (!this._networkOnline && !ignoreOffline) {
+            if (manual) {
+                this._notify(_('Mount Check'), _('Network is offline, skipping mount check'));
+            }
+            return;
+        }
+        
+        // Process ALL bookmarks for symlink management, but only mount enabled ones, parents first
+        this._getMountOrder().forEach(bookmark => {
+            if (!this._isOnAllowedNetwork(bookmark)) {
+                // The share's network went away - release it instead of letting it hang
+                if (this._isLocationMounted(bookmark.uri)) {
+                    console.log(`${bookmark.name} is not available on the current network, unmounting`);
+                    this._unmountLocation(bookmark);
+                }
+            } else if (bookmark.enabled) {
                 total++;
                 if (this._isLocationMounted(bookmark.uri)) {
                     mounted++;
+                    this._setMountState(bookmark, MountState.MOUNTED);
                     // Ensure symlink exists for already mounted locations (if symlink is enabled)
-                    if (bookmark.createSymlink) {
+                    if (this._hasSymlinks(bookmark)) {
                         this._createSymlink(bookmark);
                     }
                 } else {
-                    this._mountLocation(bookmark, false, isStartup);
+                    // Mounted earlier but gone now (unmounted elsewhere)
+                    if (bookmark.state === MountState.MOUNTED) {
+                        this._setMountState(bookmark, MountState.IDLE);
+                    }
+                    // "Check Now" overrides backoff, but not a pause or schedule the user asked for
+                    if (!this._isInSchedule(bookmark)) {
+                        // Mounted when its next window opens
+                    } else if ((manual && bookmark.state !== MountState.PAUSED) || this._canAutoMount(bookmark)) {
+                        this._mountAfterDependencies(bookmark, { isStartup, isManual: manual });
+                    }
                 }
             } else {
                 // Even if auto-mount is disabled, check if already mounted and create/update symlink if enabled
-                if (this._isLocationMounted(bookmark.uri) && bookmark.createSymlink) {
+                if (this._isLocationMounted(bookmark.uri) && this._hasSymlinks(bookmark)) {
                     this._createSymlink(bookmark);
                 }
             }
@@ -715,30 +3006,58 @@ class NetworkMountIndicator extends PanelMenu.Button {
         }
     }
     
-    _mountAllEnabled() {
-        let count = 0;
-        this._bookmarks
-            .filter(bookmark => bookmark.enabled)
-            .forEach(bookmark => {
-                if (!this._isLocationMounted(bookmark.uri)) {
-                    this._mountLocation(bookmark);
-                    count++;
-                }
-            });
+    async _mountGroup(name) {
+        let bookmarks = this._getGroupShares(name).filter(bookmark =>
+            this._isOnAllowedNetwork(bookmark) && !this._isLocationMounted(bookmark.uri));
+        if (bookmarks.length === 0) return;
+        
+        let batch = await this._runBatch(_(`Mounting ${name}`), bookmarks,
+            bookmark => this._mountAfterDependencies(bookmark, { isManual: true }));
+        if (this._cancellable.is_cancelled()) return;
+        
+        this._notify(_('Group Mounted'), _(`${name}: ${batch.succeeded} of ${batch.total} locations mounted`),
+            batch.succeeded < batch.total);
+    }
+    
+    async _unmountGroup(name) {
+        let bookmarks = this._getGroupShares(name).filter(bookmark => this._isLocationMounted(bookmark.uri));
+        if (bookmarks.length === 0) return;
+        
+        let batch = await this._runBatch(_(`Unmounting ${name}`), bookmarks,
+            bookmark => this._unmountLocation(bookmark));
+        if (this._cancellable.is_cancelled()) return;
+        
+        this._notify(_('Group Unmounted'), _(`${name}: ${batch.succeeded} of ${batch.total} locations unmounted`),
+            batch.succeeded < batch.total);
+    }
+    
+    async _mountAllEnabled(isInteractive = true) {
+        let bookmarks = this._bookmarks.filter(bookmark =>
+            bookmark.enabled && this._isOnAllowedNetwork(bookmark) && !this._isLocationMounted(bookmark.uri));
             
-        this._notify(_('Mounting All'), _(`Attempting to mount ${count} locations`));
+        this._notify(_('Mounting All'), _(`Attempting to mount ${bookmarks.length} locations`));
+        if (bookmarks.length === 0) return;
+        
+        let batch = await this._runBatch(_('Mounting'), bookmarks,
+            bookmark => this._mountAfterDependencies(bookmark, { isManual: true, isInteractive }));
+        if (this._cancellable.is_cancelled()) return;
+        
+        this._notify(_('Mount All Finished'), _(`${batch.succeeded} of ${batch.total} locations mounted`),
+            batch.succeeded < batch.total);
     }
     
-    _unmountAll() {
-        let count = 0;
-        this._bookmarks.forEach(bookmark => {
-            if (this._isLocationMounted(bookmark.uri)) {
-                this._unmountLocation(bookmark);
-                count++;
-            }
-        });
+    async _unmountAll() {
+        let bookmarks = this._bookmarks.filter(bookmark => this._isLocationMounted(bookmark.uri));
         
-        this._notify(_('Unmounting All'), _(`Unmounting ${count} locations`));
+        this._notify(_('Unmounting All'), _(`Unmounting ${bookmarks.length} locations`));
+        if (bookmarks.length === 0) return;
+        
+        let batch = await this._runBatch(_('Unmounting'), bookmarks,
+            bookmark => this._unmountLocation(bookmark));
+        if (this._cancellable.is_cancelled()) return;
+        
+        this._notify(_('Unmount All Finished'), _(`${batch.succeeded} of ${batch.total} locations unmounted`),
+            batch.succeeded < batch.total);
     }
     
     _startPeriodicCheck() {
@@ -756,6 +3075,205 @@ class NetworkMountIndicator extends PanelMenu.Button {
                 return GLib.SOURCE_CONTINUE;
             }
         );
+        
+        this._startScheduleTimer();
+    }
+    
+    _startScheduleTimer() {
+        if (this._scheduleTimerId) {
+            GLib.source_remove(this._scheduleTimerId);
+            this._scheduleTimerId = null;
+        }
+        
+        // Schedule windows are in whole minutes
+        this._scheduleTimerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 60, () => {
+            this._checkSchedules();
+            return GLib.SOURCE_CONTINUE;
+        });
+    }
+    
+    _isInSchedule(bookmark, now = new Date()) {
+        // Shares without a schedule may be mounted at any time
+        if (bookmark.schedule.length === 0) return true;
+        
+        let day = now.getDay();
+        let yesterday = (day + 6) % 7;
+        let minutes = now.getHours() * 60 + now.getMinutes();
+        
+        return bookmark.schedule.some(window => {
+            if (window.start === window.end) return window.days.includes(day);
+            if (window.start < window.end) {
+                return window.days.includes(day) && minutes >= window.start && minutes < window.end;
+            }
+            // Windows crossing midnight belong to the day they start on
+            return (window.days.includes(day) && minutes >= window.start) ||
+                (window.days.includes(yesterday) && minutes < window.end);
+        });
+    }
+    
+    _checkSchedules() {
+        let now = new Date();
+        this._bookmarks.forEach(bookmark => {
+            let inSchedule = this._isInSchedule(bookmark, now);
+            let previous = bookmark.inSchedule;
+            bookmark.inSchedule = inSchedule;
+            
+            // Only act when a window opens or closes, not on the first look
+            if (previous === null || previous === inSchedule) return;
+            this._updateBookmarkSubmenu(bookmark);
+            
+            if (inSchedule) {
+                console.log(`Schedule window opened for ${bookmark.name}`);
+                if (bookmark.enabled && this._networkOnline && this._isOnAllowedNetwork(bookmark) &&
+                    this._canAutoMount(bookmark) && !this._isLocationMounted(bookmark.uri)) {
+                    this._mountAfterDependencies(bookmark);
+                }
+            } else if (bookmark.unmountOutsideSchedule && this._isLocationMounted(bookmark.uri)) {
+                console.log(`Schedule window closed for ${bookmark.name}, unmounting`);
+                this._unmountLocation(bookmark, false, true);
+            }
+        });
+    }
+    
+    _isAutomountPaused() {
+        return this._settings.get_int64('automount-paused-until') * 1000 > Date.now();
+    }
+    
+    _pauseAllAutomount(until) {
+        console.log(`Automount paused until ${new Date(until).toLocaleString()}`);
+        this._settings.set_int64('automount-paused-until', Math.floor(until / 1000));
+    }
+    
+    _startPauseTimer() {
+        // Keeps the countdown current and ends the pause when it runs out
+        if (this._pauseTickId) {
+            GLib.source_remove(this._pauseTickId);
+            this._pauseTickId = null;
+        }
+        
+        this._updatePauseMenu();
+        this._updateStatus();
+        if (!this._isAutomountPaused()) return;
+        
+        this._pauseTickId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 30, () => {
+            if (this._isAutomountPaused()) {
+                this._updatePauseMenu();
+                return GLib.SOURCE_CONTINUE;
+            }
+            
+            this._pauseTickId = null;
+            this._settings.set_int64('automount-paused-until', 0);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+    
+    _updatePauseMenu() {
+        let paused = this._isAutomountPaused();
+        this._resumeAllItem.visible = paused;
+        
+        if (!paused) {
+            this._pauseMenuItem.label.text = _('Pause Automount');
+            return;
+        }
+        
+        let remaining = Math.ceil((this._settings.get_int64('automount-paused-until') * 1000 - Date.now()) / 60000);
+        let hours = Math.floor(remaining / 60);
+        let left = hours > 0 ? `${hours}h ${remaining % 60}m` : `${remaining}m`;
+        this._pauseMenuItem.label.text = _(`Automount Paused (${left} left)`);
+    }
+    
+    _startHealthCheck() {
+        if (this._healthCheckId) {
+            GLib.source_remove(this._healthCheckId);
+            this._healthCheckId = null;
+        }
+        
+        let interval = this._settings.get_int('health-check-interval');
+        if (interval <= 0) return;
+        
+        this._healthCheckId = GLib.timeout_add_seconds(
+            GLib.PRIORITY_DEFAULT,
+            interval,
+            () => {
+                this._verifyMounts();
+                return GLib.SOURCE_CONTINUE;
+            }
+        );
+    }
+    
+    async _checkMountHealth(bookmark) {
+        // A mount can outlive its server; ask the share root for info and see if it answers in time
+        if (bookmark.healthCheckRunning) return;
+        
+        let mount = this._getMount(bookmark.uri);
+        if (!mount) return;
+        
+        let root = mount.get_root();
+        bookmark.healthCheckRunning = true;
+        let cancellable = new Gio.Cancellable();
+        let cancelledId = this._cancellable.connect(() => cancellable.cancel());
+        let timedOut = false;
+        let healthTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, HEALTH_CHECK_TIMEOUT_SECONDS, () => {
+            healthTimeoutId = 0;
+            timedOut = true;
+            cancellable.cancel();
+            return GLib.SOURCE_REMOVE;
+        });
+        
+        let responsive = true;
+        try {
+            await root.query_info_async('standard::type', Gio.FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_LOW, cancellable);
+        } catch (e) {
+            // Only no answer means stale; an error such as permission denied still came from the server
+            responsive = !(timedOut && e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) &&
+                !e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.TIMED_OUT);
+            if (!this._cancellable.is_cancelled()) {
+                console.warn(`Health check failed for ${bookmark.name}: ${e.message}`);
+            }
+        } finally {
+            if (healthTimeoutId) GLib.source_remove(healthTimeoutId);
+            this._cancellable.disconnect(cancelledId);
+            bookmark.healthCheckRunning = false;
+        }
+        
+        if (this._cancellable.is_cancelled()) return;
+        
+        if (responsive) {
+            if (bookmark.stale) {
+                console.log(`${bookmark.name} is responding again`);
+                bookmark.stale = false;
+                this._updateBookmarkSubmenu(bookmark);
+            }
+            this._checkLinkTargets(bookmark);
+            return;
+        }
+        
+        if (!bookmark.stale) {
+            bookmark.stale = true;
+            this._recordEvent(bookmark.uri, 'stale');
+            this._updateBookmarkSubmenu(bookmark);
+            this._notify(_('Stale Mount'), _(`${bookmark.name} is not responding`), true);
+        }
+        
+        // Recovery remounts automatically, so it waits while automount is paused
+        if (bookmark.recoverStale && !this._isAutomountPaused()) {
+            this._recoverStaleMount(bookmark);
+        }
+    }
+    
+    async _recoverStaleMount(bookmark) {
+        console.log(`Recovering stale mount: ${bookmark.name}`);
+        
+        if (!await this._unmountLocation(bookmark, true)) return;
+        if (this._cancellable.is_cancelled()) return;
+        
+        // Offline, the network monitor remounts it on reconnect
+        if (!this._networkOnline) return;
+        
+        if (await this._mountAfterDependencies(bookmark, { isRetry: true })) {
+            this._notify(_('Stale Mount Recovered'), bookmark.name);
+        }
     }
     
     _openSettings() {
@@ -767,13 +3285,13 @@ class NetworkMountIndicator extends PanelMenu.Button {
     }
     
     _cleanupAllSymlinks() {
-        // Clean up all tracked symlinks for ALL bookmarks (not just enabled ones)
-        this._bookmarks.forEach(bookmark => {
-            if (bookmark.createSymlink) {
-                this._removeSymlink(bookmark);
+        // Links of shares that keep theirs survive a restart; removed shares lose theirs
+        [...this._symlinkManifest].forEach(([path, entry]) => {
+            let bookmark = this._findBookmark(entry.uri);
+            if (!this._isWantedLink(path, entry.uri) || bookmark.symlinkPolicy === SymlinkPolicy.REMOVE) {
+                this._deleteOwnedLink(path);
             }
         });
-        this._symlinkPaths.clear();
     }
     
     destroy() {
@@ -788,9 +3306,80 @@ class NetworkMountIndicator extends PanelMenu.Button {
             GLib.source_remove(timeoutId);
         });
         this._timeoutIds.clear();
+        this._retryQueue.clear();
+        this._pauseTimeouts.clear();
+        
+        // Stop listening for network changes
+        if (this._networkDebounceId) {
+            GLib.source_remove(this._networkDebounceId);
+            this._networkDebounceId = null;
+        }
+        if (this._networkWaitId) {
+            GLib.source_remove(this._networkWaitId);
+            this._networkWaitId = null;
+        }
+        this._networkSignalIds.forEach(id => this._networkMonitor.disconnect(id));
+        this._networkSignalIds = [];
+        this._volumeSignalIds.forEach(id => this._volumeMonitor.disconnect(id));
+        this._volumeSignalIds = [];
+        this._mountCache.clear();
+        
+        // Stop following sleep and the lock screen
+        if (this._sleepSignalId) {
+            this._loginManager.disconnect(this._sleepSignalId);
+            this._sleepSignalId = null;
+        }
+        if (this._sessionModeId) {
+            Main.sessionMode.disconnect(this._sessionModeId);
+            this._sessionModeId = null;
+        }
+        this._releaseSleepInhibitor();
+        this._releasedShares.clear();
+        
+        // Drop mounts still waiting in the queue
+        this._mountQueue.forEach(entry => entry.resolve(false));
+        this._mountQueue = [];
+        this._pendingMounts.clear();
+        this._pendingUnmounts.clear();
+        
+        // Abort any pending D-Bus queries and in-flight mounts and unmounts
+        this._cancellable.cancel();
+        this._operations.forEach(operation => operation.cancellable.cancel());
+        this._operations.clear();
+        if (this._progressTickId) {
+            GLib.source_remove(this._progressTickId);
+            this._progressTickId = null;
+        }
+        if (this._healthCheckId) {
+            GLib.source_remove(this._healthCheckId);
+            this._healthCheckId = null;
+        }
+        if (this._scheduleTimerId) {
+            GLib.source_remove(this._scheduleTimerId);
+            this._scheduleTimerId = null;
+        }
+        if (this._pauseTickId) {
+            GLib.source_remove(this._pauseTickId);
+            this._pauseTickId = null;
+        }
+        
+        // Stop watching the bookmarks files
+        if (this._bookmarksReloadId) {
+            GLib.source_remove(this._bookmarksReloadId);
+            this._bookmarksReloadId = null;
+        }
+        this._bookmarkMonitors.forEach(monitor => monitor.cancel());
+        this._bookmarkMonitors = [];
+        
+        if (this._historyMonitor) {
+            this._historyMonitor.cancel();
+            this._historyMonitor = null;
+        }
         
         // Clean up all symlinks when extension is disabled
         this._cleanupAllSymlinks();
+        this._recordEvent('', 'stopped');
+        this._flushHistorySync();
         
         if (this._source) {
             this._source.destroy();
@@ -801,14 +3390,153 @@ class NetworkMountIndicator extends PanelMenu.Button {
     }
 }
 
+const DBUS_NAME = 'org.gnome.Shell.Extensions.NetworkShareAutomount';
+const DBUS_PATH = '/org/gnome/Shell/Extensions/NetworkShareAutomount';
+const DBUS_INTERFACE = `
+<node>
+  <interface name="org.gnome.Shell.Extensions.NetworkShareAutomount">
+    <method name="ListShares">
+      <arg type="aa{sv}" name="shares" direction="out"/>
+    </method>
+    <method name="GetShareState">
+      <arg type="s" name="uri" direction="in"/>
+      <arg type="a{sv}" name="share" direction="out"/>
+    </method>
+    <method name="Mount">
+      <arg type="s" name="uri" direction="in"/>
+    </method>
+    <method name="Unmount">
+      <arg type="s" name="uri" direction="in"/>
+    </method>
+    <method name="MountAll"/>
+    <method name="UnmountAll"/>
+    <method name="CheckNow"/>
+    <signal name="ShareStateChanged">
+      <arg type="s" name="uri"/>
+      <arg type="s" name="state"/>
+    </signal>
+    <signal name="SymlinkChanged">
+      <arg type="s" name="uri"/>
+      <arg type="s" name="path"/>
+      <arg type="b" name="present"/>
+    </signal>
+  </interface>
+</node>`;
+
+// Session bus API for scripts and other desktop tools, backed by the indicator
+class AutomountDBusService {
+    constructor(indicator) {
+        this._indicator = indicator;
+        
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(DBUS_INTERFACE, this);
+        this._dbusImpl.export(Gio.DBus.session, DBUS_PATH);
+        this._nameId = Gio.bus_own_name_on_connection(Gio.DBus.session, DBUS_NAME,
+            Gio.BusNameOwnerFlags.NONE, null, null);
+        
+        this._signalIds = [
+            indicator.connect('share-state-changed', (indicator, uri, state) => {
+                this._dbusImpl.emit_signal('ShareStateChanged', new GLib.Variant('(ss)', [uri, state]));
+            }),
+            indicator.connect('symlink-changed', (indicator, uri, path, present) => {
+                this._dbusImpl.emit_signal('SymlinkChanged', new GLib.Variant('(ssb)', [uri, path, present]));
+            })
+        ];
+    }
+    
+    _getBookmark(uri) {
+        let bookmark = this._indicator._findBookmark(uri);
+        if (!bookmark) {
+            throw new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS, `Unknown share: ${uri}`);
+        }
+        return bookmark;
+    }
+    
+    _describeShare(bookmark) {
+        let indicator = this._indicator;
+        let symlinkPath = bookmark.createSymlink ? indicator._getSymlinkPath(bookmark) : '';
+        
+        return {
+            uri: new GLib.Variant('s', bookmark.uri),
+            name: new GLib.Variant('s', bookmark.name),
+            source: new GLib.Variant('s', bookmark.source),
+            state: new GLib.Variant('s', indicator._getShareState(bookmark)),
+            mounted: new GLib.Variant('b', indicator._isLocationMounted(bookmark.uri)),
+            stale: new GLib.Variant('b', bookmark.stale),
+            'host-unreachable': new GLib.Variant('b', bookmark.hostUnreachable),
+            enabled: new GLib.Variant('b', bookmark.enabled),
+            'fail-count': new GLib.Variant('u', bookmark.failCount),
+            'next-retry': new GLib.Variant('x', Math.floor(bookmark.nextRetry / 1000)),
+            'paused-until': new GLib.Variant('x', Math.floor(bookmark.pausedUntil / 1000)),
+            'depends-on': new GLib.Variant('as', bookmark.dependsOn),
+            priority: new GLib.Variant('i', bookmark.priority),
+            group: new GLib.Variant('s', bookmark.group),
+            'mount-path': new GLib.Variant('s', indicator._getGvfsMountPath(bookmark.uri) || ''),
+            symlink: new GLib.Variant('s', symlinkPath),
+            links: new GLib.Variant('as', indicator._getLinkEntries(bookmark).map(link => link.path))
+        };
+    }
+    
+    ListShares() {
+        return this._indicator._bookmarks.map(bookmark => this._describeShare(bookmark));
+    }
+    
+    GetShareState(uri) {
+        return this._describeShare(this._getBookmark(uri));
+    }
+    
+    Mount(uri) {
+        // Bus callers can't answer a password dialog; shares that need one fail with a credentials error
+        let bookmark = this._getBookmark(uri);
+        if (bookmark.credentialsRejected) {
+            throw new GLib.Error(Gio.DBusError, Gio.DBusError.AUTH_FAILED,
+                `The server refused the credentials for ${bookmark.name}; update them in the extension settings`);
+        }
+        this._indicator._mountAfterDependencies(bookmark, { isManual: true, isInteractive: false });
+    }
+    
+    Unmount(uri) {
+        this._indicator._unmountLocation(this._getBookmark(uri));
+    }
+    
+    MountAll() {
+        this._indicator._mountAllEnabled(false);
+    }
+    
+    UnmountAll() {
+        this._indicator._unmountAll();
+    }
+    
+    CheckNow() {
+        this._indicator._checkAndMountAll();
+    }
+    
+    destroy() {
+        this._signalIds.forEach(id => this._indicator.disconnect(id));
+        this._signalIds = [];
+        
+        Gio.bus_unown_name(this._nameId);
+        this._dbusImpl.unexport();
+        this._dbusImpl = null;
+        this._indicator = null;
+    }
+}
+
 export default class NetworkShareAutomountExtension extends Extension {
     enable() {
         this._settings = this.getSettings();
         this._indicator = new NetworkMountIndicator(this._settings, this);
         Main.panel.addToStatusArea('network-share-automount', this._indicator);
+        this._dbusService = new AutomountDBusService(this._indicator);
     }
     
+    // The extension also runs in the unlock-dialog session mode so shares with the
+    // "Unmount When Locked" policy can be released when the screen locks and restored
+    // on unlock. The indicator hides itself while locked.
     disable() {
+        if (this._dbusService) {
+            this._dbusService.destroy();
+            this._dbusService = null;
+        }
         if (this._indicator) {
             this._indicator.destroy();
             this._indicator = null;
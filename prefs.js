@@ -20,7 +20,40 @@ import Adw from 'gi://Adw';
 import Gtk from 'gi://Gtk';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
+import Secret from 'gi://Secret';
 import {ExtensionPreferences, gettext as _} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import {
+    AVAILABILITY_PERIODS, DEFAULT_SYMLINK_TEMPLATE, SHARE_PROTOCOLS, SYMLINK_TEMPLATE_FIELDS, SymlinkPolicy,
+    computeAvailability, expandSymlinkTemplate, extractNameFromUri, formatDuration, formatSchedule, getBookmarkFilePaths,
+    getHistoryPaths, getShareDefaults, getSymlinkTemplate, parseCustomShares, parseSchedule, parseShareSettings,
+    readBookmarkEntries, readShareEntries, serializeShareSettings
+} from './utils.js';
+
+// Must match the schema used by the extension to look up credentials
+const CREDENTIALS_SCHEMA = new Secret.Schema(
+    'org.gnome.shell.extensions.network-share-automount.Credentials',
+    Secret.SchemaFlags.NONE,
+    { uri: Secret.SchemaAttributeType.STRING }
+);
+
+// Symlink policies in the order the share settings offer them
+const SYMLINK_POLICIES = [SymlinkPolicy.REMOVE, SymlinkPolicy.DANGLING, SymlinkPolicy.PLACEHOLDER];
+
+// Events the extension records in the mount history
+const HISTORY_EVENTS = [
+    'mounted', 'mount-failed', 'mount-cancelled', 'retry-scheduled', 'gave-up', 'stale',
+    'unmounted', 'unmount-failed', 'unmount-cancelled', 'symlink-created', 'symlink-removed',
+    'started', 'stopped'
+];
+
+// Newest history entries shown at once
+const HISTORY_DISPLAY_LIMIT = 200;
+
+Gio._promisify(Gio.DBusConnection.prototype, 'call');
+Gio._promisify(Gio.SocketClient.prototype, 'connect_async');
+Gio._promisify(Secret, 'password_lookup', 'password_lookup_finish');
+Gio._promisify(Secret, 'password_store', 'password_store_finish');
+Gio._promisify(Secret, 'password_clear', 'password_clear_finish');
 
 export default class NetworkShareAutomountPreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
@@ -60,8 +93,18 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         });
         
         this._addBookmarkSettings(bookmarksPage, settings, window);
+        this._monitorBookmarkFiles(bookmarksPage, settings, window);
         window.add(bookmarksPage);
         
+        // History Page
+        const historyPage = new Adw.PreferencesPage({
+            title: _('History'),
+            icon_name: 'document-open-recent-symbolic'
+        });
+        
+        this._addHistorySettings(historyPage, window);
+        window.add(historyPage);
+        
         // Advanced Page
         const advancedPage = new Adw.PreferencesPage({
             title: _('Advanced'),
@@ -81,40 +124,52 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         window.add(aboutPage);
     }
     
-    _loadBookmarks() {
-        try {
-            let bookmarksFile = Gio.File.new_for_path(
-                GLib.get_home_dir() + '/.config/gtk-3.0/bookmarks'
-            );
-            
-            if (!bookmarksFile.query_exists(null)) {
-                return [];
-            }
-            
-            let [success, contents] = bookmarksFile.load_contents(null);
-            if (!success) return [];
-            
-            let bookmarkLines = new TextDecoder().decode(contents).split('\n');
-            return bookmarkLines
-                .filter(line => line.trim() && line.includes('://') && !line.startsWith('file://'))
-                .map(line => {
-                    let [uri, ...nameParts] = line.trim().split(' ');
-                    let name = nameParts.join(' ') || this._extractNameFromUri(uri);
-                    return { 
-                        uri, 
-                        name, 
-                        enabled: true,
-                        createSymlink: false,
-                        symlinkPath: ''
-                    };
+    _loadShares(settings) {
+        // Bookmarks and custom shares with their settings; shares without stored settings get the defaults
+        let shares = readShareEntries(settings.get_string('custom-shares'))
+            .map(entry => Object.assign(entry, getShareDefaults()));
+        return this._loadBookmarkSettings(shares, settings);
+    }
+    
+    _monitorBookmarkFiles(page, settings, window) {
+        // Rebuild the Network Shares page whenever a bookmarks file changes
+        let reloadId = 0;
+        let monitors = getBookmarkFilePaths().map(path => {
+            let monitor = Gio.File.new_for_path(path).monitor_file(Gio.FileMonitorFlags.NONE, null);
+            monitor.connect('changed', () => {
+                if (reloadId) GLib.source_remove(reloadId);
+                reloadId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
+                    reloadId = 0;
+                    this._addBookmarkSettings(page, settings, window);
+                    return GLib.SOURCE_REMOVE;
                 });
-                
+            });
+            return monitor;
+        });
+        
+        window.connect('close-request', () => {
+            if (reloadId) GLib.source_remove(reloadId);
+            monitors.forEach(monitor => monitor.cancel());
+            return false;
+        });
+    }
+    
+    _loadCustomShares(settings) {
+        try {
+            return parseCustomShares(settings.get_string('custom-shares'));
         } catch (e) {
-            console.error('Error loading bookmarks:', e);
+            console.error('Error loading custom shares:', e);
             return [];
         }
     }
     
+    _saveCustomShares(shares, settings) {
+        settings.set_string('custom-shares', JSON.stringify(shares.map(share => ({
+            uri: share.uri,
+            name: share.name
+        }))));
+    }
+    
     _loadBookmarkSettings(bookmarks, settings) {
         try {
             let settingsStr = settings.get_string('bookmark-settings');
@@ -124,9 +179,7 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
             bookmarks.forEach(bookmark => {
                 let storedSettings = bookmarkSettings[bookmark.uri];
                 if (storedSettings) {
-                    bookmark.enabled = storedSettings.enabled !== false;
-                    bookmark.createSymlink = storedSettings.createSymlink || false;
-                    bookmark.symlinkPath = storedSettings.symlinkPath || '';
+                    Object.assign(bookmark, parseShareSettings(storedSettings));
                 }
             });
             
@@ -139,37 +192,55 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
     
     _saveBookmarkSettings(bookmarks, settings) {
         try {
-            let bookmarkSettings = {};
-            bookmarks.forEach(bookmark => {
-                bookmarkSettings[bookmark.uri] = {
-                    enabled: bookmark.enabled,
-                    createSymlink: bookmark.createSymlink,
-                    symlinkPath: bookmark.symlinkPath
-                };
-            });
-            
-            settings.set_string('bookmark-settings', JSON.stringify(bookmarkSettings));
+            settings.set_string('bookmark-settings', serializeShareSettings(bookmarks));
         } catch (e) {
             console.error('Error saving bookmark settings:', e);
         }
     }
     
-    _extractNameFromUri(uri) {
-        try {
-            let parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
-            let path = parsed.get_path() || '';
-            let host = parsed.get_host() || 'unknown';
-            return path.length > 1 ? `${host}${path}` : host;
-        } catch (e) {
-            return uri;
-        }
+    _parseNetworkList(text) {
+        return text.split(',')
+            .map(network => network.trim())
+            .filter(network => network.length > 0);
     }
     
-    _sanitizeForFilename(name) {
-        return name.replace(/[<>:"\/\\|?*]/g, '_')
-                  .replace(/\s+/g, '_')
-                  .replace(/_+/g, '_')
-                  .replace(/^_|_$/g, '');
+    async _getNetworkManagerProperties(objectPath, interfaceName) {
+        let reply = await Gio.DBus.system.call(
+            'org.freedesktop.NetworkManager',
+            objectPath,
+            'org.freedesktop.DBus.Properties',
+            'GetAll',
+            new GLib.Variant('(s)', [interfaceName]),
+            new GLib.VariantType('(a{sv})'),
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null
+        );
+        return reply.recursiveUnpack()[0];
+    }
+    
+    async _getActiveNetworkNames() {
+        // Wi-Fi connections are offered by SSID, everything else (wired, VPN) by connection name
+        let names = [];
+        let nmProps = await this._getNetworkManagerProperties(
+            '/org/freedesktop/NetworkManager', 'org.freedesktop.NetworkManager');
+        
+        for (let connectionPath of nmProps.ActiveConnections || []) {
+            let connection = await this._getNetworkManagerProperties(
+                connectionPath, 'org.freedesktop.NetworkManager.Connection.Active');
+            let name = connection.Id;
+            
+            if (connection.Type === '802-11-wireless' && connection.SpecificObject &&
+                connection.SpecificObject !== '/') {
+                let accessPoint = await this._getNetworkManagerProperties(
+                    connection.SpecificObject, 'org.freedesktop.NetworkManager.AccessPoint');
+                name = new TextDecoder().decode(new Uint8Array(accessPoint.Ssid || [])) || name;
+            }
+            
+            if (name && !names.includes(name)) names.push(name);
+        }
+        
+        return names;
     }
     
     _addGeneralSettings(page, settings) {
@@ -197,6 +268,88 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         
         group.add(intervalRow);
         page.add(group);
+        
+        const networkGroup = new Adw.PreferencesGroup({
+            title: _('Network'),
+            description: _('Shares are mounted as soon as the network comes up and skipped while offline')
+        });
+        
+        // Startup network wait
+        const networkWaitRow = new Adw.SpinRow({
+            title: _('Maximum Network Wait'),
+            subtitle: _('Seconds to wait for the network at startup before checking anyway'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 600,
+                step_increment: 5,
+                page_increment: 30,
+                value: settings.get_int('network-wait-timeout')
+            })
+        });
+        
+        networkWaitRow.connect('notify::value', () => {
+            settings.set_int('network-wait-timeout', networkWaitRow.get_value());
+        });
+        
+        networkGroup.add(networkWaitRow);
+        
+        // Mount timeout
+        const mountTimeoutRow = new Adw.SpinRow({
+            title: _('Mount Timeout'),
+            subtitle: _('Seconds before a hanging mount or unmount is cancelled'),
+            adjustment: new Gtk.Adjustment({
+                lower: 5,
+                upper: 600,
+                step_increment: 5,
+                page_increment: 30,
+                value: settings.get_int('mount-timeout')
+            })
+        });
+        
+        mountTimeoutRow.connect('notify::value', () => {
+            settings.set_int('mount-timeout', mountTimeoutRow.get_value());
+        });
+        
+        networkGroup.add(mountTimeoutRow);
+        
+        // Stale mount detection
+        const healthRow = new Adw.SpinRow({
+            title: _('Health Check Interval'),
+            subtitle: _('Seconds between checks for unresponsive mounts (0 = off)'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 3600,
+                step_increment: 15,
+                page_increment: 60,
+                value: settings.get_int('health-check-interval')
+            })
+        });
+        
+        healthRow.connect('notify::value', () => {
+            settings.set_int('health-check-interval', healthRow.get_value());
+        });
+        
+        networkGroup.add(healthRow);
+        
+        // Mount queue
+        const concurrencyRow = new Adw.SpinRow({
+            title: _('Concurrent Mounts'),
+            subtitle: _('Mounts started at once; mounts to the same server always run one at a time'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 16,
+                step_increment: 1,
+                page_increment: 4,
+                value: settings.get_int('max-concurrent-mounts')
+            })
+        });
+        
+        concurrencyRow.connect('notify::value', () => {
+            settings.set_int('max-concurrent-mounts', concurrencyRow.get_value());
+        });
+        
+        networkGroup.add(concurrencyRow);
+        page.add(networkGroup);
     }
     
     _addNotificationSettings(page, settings) {
@@ -249,6 +402,7 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         
         mountBaseRow.connect('notify::text', () => {
             settings.set_string('custom-mount-base', mountBaseRow.get_text());
+            this._updateSymlinkPreviews();
         });
         
         // Add browse button
@@ -279,11 +433,60 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         });
         group.add(exampleRow);
         
+        // Layout of the links below the base directory, applied explicitly so half-typed
+        // templates never become links
+        const templateRow = new Adw.EntryRow({
+            title: _('Link Name Template'),
+            text: settings.get_string('symlink-template'),
+            show_apply_button: true
+        });
+        
+        templateRow.connect('apply', () => {
+            settings.set_string('symlink-template', templateRow.get_text().trim());
+            this._updateSymlinkPreviews();
+        });
+        group.add(templateRow);
+        
+        const templateInfoRow = new Adw.ActionRow({
+            title: _('Template Fields'),
+            subtitle: _(`${SYMLINK_TEMPLATE_FIELDS.map(field => `{${field}}`).join(' ')} - slashes create subdirectories, e.g. {host}/{share}. If empty, ${DEFAULT_SYMLINK_TEMPLATE} is used`)
+        });
+        group.add(templateInfoRow);
+        
         page.add(group);
     }
     
     _addBookmarkSettings(page, settings, window) {
-        const bookmarks = this._loadBookmarkSettings(this._loadBookmarks(), settings);
+        // Remove the groups of a previous build so the page can be rebuilt in place
+        (this._bookmarkGroups || []).forEach(group => page.remove(group));
+        this._bookmarkGroups = [];
+        this._symlinkPreviews = [];
+        const addGroup = group => {
+            page.add(group);
+            this._bookmarkGroups.push(group);
+        };
+        
+        const bookmarks = this._loadShares(settings);
+        
+        // Extension-owned shares that don't need a Files bookmark
+        const addShareGroup = new Adw.PreferencesGroup();
+        const addShareRow = new Adw.ActionRow({
+            title: _('Add Share'),
+            subtitle: _('Automount a share without bookmarking it in Files')
+        });
+        
+        const addShareButton = new Gtk.Button({
+            label: _('Add share\u2026'),
+            valign: Gtk.Align.CENTER
+        });
+        
+        addShareButton.connect('clicked', () => {
+            this._showShareDialog(null, page, settings, window);
+        });
+        
+        addShareRow.add_suffix(addShareButton);
+        addShareGroup.add(addShareRow);
+        addGroup(addShareGroup);
         
         if (bookmarks.length === 0) {
             const noBookmarksGroup = new Adw.PreferencesGroup({
@@ -296,8 +499,7 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
                 subtitle: _('Open Files, connect to a server (smb://, ftp://, etc.), then bookmark it')
             });
             noBookmarksGroup.add(infoRow);
-            page.add(noBookmarksGroup);
-            return;
+            addGroup(noBookmarksGroup);
         }
         
         bookmarks.forEach((bookmark, index) => {
@@ -306,6 +508,10 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
                 description: bookmark.uri
             });
             
+            if (bookmark.source === 'custom') {
+                group.set_header_suffix(this._createCustomShareButtons(bookmark, page, settings, window));
+            }
+            
             // Enable/disable auto-mount
             const enableRow = new Adw.SwitchRow({
                 title: _('Auto Mount'),
@@ -319,6 +525,21 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
             });
             group.add(enableRow);
             
+            // Share group, shown as a collapsible section in the panel menu. Links can live in a
+            // directory per group, so it is applied explicitly rather than on every keystroke.
+            const groupRow = new Adw.EntryRow({
+                title: _('Group'),
+                text: bookmark.group,
+                show_apply_button: true
+            });
+            
+            groupRow.connect('apply', () => {
+                bookmarks[index].group = groupRow.get_text().trim();
+                this._saveBookmarkSettings(bookmarks, settings);
+                updateSymlinkPreview();
+            });
+            group.add(groupRow);
+            
             // Create symlink option
             const symlinkRow = new Adw.SwitchRow({
                 title: _('Create Symlink'),
@@ -331,32 +552,332 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
                 this._saveBookmarkSettings(bookmarks, settings);
                 // Enable/disable the symlink path row and hint
                 symlinkPathRow.set_sensitive(symlinkRow.get_active());
-                symlinkHintRow.set_sensitive(symlinkRow.get_active());
+                symlinkPreviewRow.set_sensitive(symlinkRow.get_active());
             });
             group.add(symlinkRow);
             
-            // Symlink path
+            // Symlink name or template, applied explicitly so half-typed values never become links
             const symlinkPathRow = new Adw.EntryRow({
                 title: _('Symlink Name'),
-                text: bookmark.symlinkPath
+                text: bookmark.symlinkPath,
+                show_apply_button: true
             });
             
             symlinkPathRow.set_sensitive(bookmark.createSymlink);
             
-            symlinkPathRow.connect('notify::text', () => {
+            symlinkPathRow.connect('apply', () => {
                 bookmarks[index].symlinkPath = symlinkPathRow.get_text();
                 this._saveBookmarkSettings(bookmarks, settings);
+                updateSymlinkPreview();
             });
             group.add(symlinkPathRow);
             
-            // Add hint row for default value
-            const symlinkHintRow = new Adw.ActionRow({
-                title: _('Default: ') + this._sanitizeForFilename(bookmark.name)
+            // Live preview of where the link ends up
+            const symlinkPreviewRow = new Adw.ActionRow({
+                title: _('Link Preview')
             });
-            symlinkHintRow.set_sensitive(bookmark.createSymlink);
-            group.add(symlinkHintRow);
+            const updateSymlinkPreview = () => {
+                symlinkPreviewRow.set_subtitle(this._describeSymlinkPreview(bookmarks[index], settings));
+            };
+            updateSymlinkPreview();
+            this._symlinkPreviews.push(updateSymlinkPreview);
+            symlinkPreviewRow.set_sensitive(bookmark.createSymlink);
+            group.add(symlinkPreviewRow);
             
-            page.add(group);
+            // What the link does while the share is not mounted
+            const symlinkPolicyRow = new Adw.ComboRow({
+                title: _('When Not Mounted'),
+                subtitle: _('Keeping the link stops paths in other applications from breaking'),
+                model: Gtk.StringList.new([_('Remove Symlink'), _('Keep Dangling Symlink'), _('Point to Offline Placeholder')]),
+                selected: SYMLINK_POLICIES.indexOf(bookmark.symlinkPolicy)
+            });
+            symlinkPolicyRow.connect('notify::selected', () => {
+                bookmarks[index].symlinkPolicy = SYMLINK_POLICIES[symlinkPolicyRow.get_selected()];
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            group.add(symlinkPolicyRow);
+            
+            // Extra links to folders inside the share
+            const linksRow = new Adw.ExpanderRow({
+                title: _('Subfolder Links'),
+                subtitle: this._describeSubfolderLinks(bookmark)
+            });
+            
+            const addLinkRows = link => {
+                // Applied explicitly so half-typed paths never become links
+                const subPathRow = new Adw.EntryRow({
+                    title: _('Folder in Share'),
+                    text: link.subPath,
+                    show_apply_button: true
+                });
+                subPathRow.connect('apply', () => {
+                    link.subPath = subPathRow.get_text().trim();
+                    this._saveBookmarkSettings(bookmarks, settings);
+                });
+                
+                const destinationRow = new Adw.EntryRow({
+                    title: _('Link Path'),
+                    text: link.destination,
+                    show_apply_button: true
+                });
+                destinationRow.connect('apply', () => {
+                    link.destination = destinationRow.get_text().trim();
+                    linksRow.set_subtitle(this._describeSubfolderLinks(bookmarks[index]));
+                    this._saveBookmarkSettings(bookmarks, settings);
+                });
+                
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: _('Remove link')
+                });
+                removeButton.add_css_class('flat');
+                removeButton.connect('clicked', () => {
+                    bookmarks[index].links = bookmarks[index].links.filter(other => other !== link);
+                    linksRow.remove(subPathRow);
+                    linksRow.remove(destinationRow);
+                    linksRow.set_subtitle(this._describeSubfolderLinks(bookmarks[index]));
+                    this._saveBookmarkSettings(bookmarks, settings);
+                });
+                destinationRow.add_suffix(removeButton);
+                
+                linksRow.add_row(subPathRow);
+                linksRow.add_row(destinationRow);
+            };
+            bookmark.links.forEach(addLinkRows);
+            
+            const addLinkButton = new Gtk.Button({
+                icon_name: 'list-add-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: _('Add a link to a folder in this share')
+            });
+            addLinkButton.add_css_class('flat');
+            addLinkButton.connect('clicked', () => {
+                let link = { subPath: '', destination: '' };
+                bookmarks[index].links.push(link);
+                addLinkRows(link);
+                linksRow.set_expanded(true);
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            linksRow.add_suffix(addLinkButton);
+            group.add(linksRow);
+            
+            // Allowed networks
+            const networksRow = new Adw.EntryRow({
+                title: _('Allowed Networks'),
+                text: bookmark.networks.join(', ')
+            });
+            
+            networksRow.connect('notify::text', () => {
+                bookmarks[index].networks = this._parseNetworkList(networksRow.get_text());
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            
+            const currentNetworkButton = new Gtk.Button({
+                icon_name: 'network-workgroup-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: _('Add the currently active networks')
+            });
+            
+            currentNetworkButton.connect('clicked', async () => {
+                try {
+                    let networks = this._parseNetworkList(networksRow.get_text());
+                    for (let name of await this._getActiveNetworkNames()) {
+                        if (!networks.includes(name)) networks.push(name);
+                    }
+                    networksRow.set_text(networks.join(', '));
+                } catch (e) {
+                    console.error('Could not query NetworkManager connections:', e);
+                    window.add_toast(new Adw.Toast({
+                        title: _('Could not read active networks from NetworkManager')
+                    }));
+                }
+            });
+            
+            networksRow.add_suffix(currentNetworkButton);
+            group.add(networksRow);
+            
+            const networksHintRow = new Adw.ActionRow({
+                title: _('Connection names, Wi-Fi SSIDs or VPN names, comma separated'),
+                subtitle: _('Leave empty to mount on any network')
+            });
+            group.add(networksHintRow);
+            
+            // Per-share mount timeout
+            const timeoutRow = new Adw.SpinRow({
+                title: _('Mount Timeout'),
+                subtitle: _('Seconds before a hanging mount is cancelled (0 = use the general setting)'),
+                adjustment: new Gtk.Adjustment({
+                    lower: 0,
+                    upper: 600,
+                    step_increment: 5,
+                    page_increment: 30,
+                    value: bookmark.mountTimeout
+                })
+            });
+            
+            timeoutRow.connect('notify::value', () => {
+                bookmarks[index].mountTimeout = timeoutRow.get_value();
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            group.add(timeoutRow);
+            
+            // Stale mount recovery
+            const recoverRow = new Adw.SwitchRow({
+                title: _('Recover Stale Mount'),
+                subtitle: _('Force-unmount and remount when the server stops responding')
+            });
+            
+            recoverRow.set_active(bookmark.recoverStale);
+            recoverRow.connect('notify::active', () => {
+                bookmarks[index].recoverStale = recoverRow.get_active();
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            group.add(recoverRow);
+            
+            // Suspend and lock screen policies
+            const sleepRow = new Adw.SwitchRow({
+                title: _('Unmount Before Sleep'),
+                subtitle: _('Cleanly unmount when the computer suspends and remount on resume')
+            });
+            
+            sleepRow.set_active(bookmark.unmountOnSleep);
+            sleepRow.connect('notify::active', () => {
+                bookmarks[index].unmountOnSleep = sleepRow.get_active();
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            group.add(sleepRow);
+            
+            const lockRow = new Adw.SwitchRow({
+                title: _('Unmount When Locked'),
+                subtitle: _('Keep the share unmounted while the screen is locked')
+            });
+            
+            lockRow.set_active(bookmark.unmountOnLock);
+            lockRow.connect('notify::active', () => {
+                bookmarks[index].unmountOnLock = lockRow.get_active();
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            group.add(lockRow);
+            
+            // Time windows the share may be mounted in
+            const scheduleRow = new Adw.EntryRow({
+                title: _('Schedule'),
+                text: formatSchedule(bookmark.schedule),
+                show_apply_button: true
+            });
+            
+            scheduleRow.connect('apply', () => {
+                let schedule = parseSchedule(scheduleRow.get_text());
+                if (!schedule) {
+                    window.add_toast(new Adw.Toast({
+                        title: _('Could not read the schedule, e.g. "Mon-Fri 18:00-23:00; Sat,Sun 09:00-23:00"')
+                    }));
+                    return;
+                }
+                
+                bookmarks[index].schedule = schedule;
+                scheduleRow.set_text(formatSchedule(schedule));
+                unmountOutsideRow.set_sensitive(schedule.length > 0);
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            group.add(scheduleRow);
+            
+            const scheduleHintRow = new Adw.ActionRow({
+                title: _('Days and time windows separated by ";", e.g. Mon-Fri 22:00-06:00; empty = any time')
+            });
+            scheduleHintRow.add_css_class('dim-label');
+            group.add(scheduleHintRow);
+            
+            const unmountOutsideRow = new Adw.SwitchRow({
+                title: _('Unmount Outside Schedule'),
+                subtitle: _('Unmount the share when its time window closes')
+            });
+            
+            unmountOutsideRow.set_active(bookmark.unmountOutsideSchedule);
+            unmountOutsideRow.set_sensitive(bookmark.schedule.length > 0);
+            unmountOutsideRow.connect('notify::active', () => {
+                bookmarks[index].unmountOutsideSchedule = unmountOutsideRow.get_active();
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            group.add(unmountOutsideRow);
+            
+            // Mount ordering
+            const priorityRow = new Adw.SpinRow({
+                title: _('Priority'),
+                subtitle: _('Shares with a higher priority are mounted first'),
+                adjustment: new Gtk.Adjustment({
+                    lower: -100,
+                    upper: 100,
+                    step_increment: 1,
+                    page_increment: 10,
+                    value: bookmark.priority
+                })
+            });
+            
+            priorityRow.connect('notify::value', () => {
+                bookmarks[index].priority = priorityRow.get_value();
+                this._saveBookmarkSettings(bookmarks, settings);
+            });
+            group.add(priorityRow);
+            
+            const others = bookmarks.filter(other => other !== bookmark);
+            if (others.length > 0) {
+                const dependsRow = new Adw.ExpanderRow({
+                    title: _('Depends On'),
+                    subtitle: this._describeDependencies(bookmark, bookmarks)
+                });
+                
+                others.forEach(other => {
+                    const parentRow = new Adw.SwitchRow({
+                        title: other.name,
+                        subtitle: other.uri
+                    });
+                    
+                    parentRow.set_active(bookmark.dependsOn.includes(other.uri));
+                    parentRow.connect('notify::active', () => {
+                        let dependsOn = bookmarks[index].dependsOn.filter(uri => uri !== other.uri);
+                        if (parentRow.get_active()) {
+                            if (this._dependsOn(other, bookmark.uri, bookmarks)) {
+                                // Would create a cycle
+                                parentRow.set_active(false);
+                                window.add_toast(new Adw.Toast({
+                                    title: _(`${other.name} already depends on ${bookmark.name}`)
+                                }));
+                                return;
+                            }
+                            dependsOn.push(other.uri);
+                        }
+                        
+                        bookmarks[index].dependsOn = dependsOn;
+                        dependsRow.set_subtitle(this._describeDependencies(bookmark, bookmarks));
+                        this._saveBookmarkSettings(bookmarks, settings);
+                    });
+                    dependsRow.add_row(parentRow);
+                });
+                group.add(dependsRow);
+            }
+            
+            // Keyring credentials for unattended mounts
+            const credentialsRow = new Adw.ActionRow({
+                title: _('Credentials'),
+                subtitle: _('Checking keyring…')
+            });
+            
+            const credentialsButton = new Gtk.Button({
+                label: _('Set credentials…'),
+                valign: Gtk.Align.CENTER
+            });
+            
+            credentialsButton.connect('clicked', () => {
+                this._showCredentialsDialog(bookmark, credentialsRow, window, settings);
+            });
+            
+            credentialsRow.add_suffix(credentialsButton);
+            group.add(credentialsRow);
+            this._updateCredentialsRow(bookmark, credentialsRow);
+            
+            addGroup(group);
         });
         
         // Refresh button
@@ -372,13 +893,378 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         });
         
         refreshButton.connect('clicked', () => {
-            // Close and reopen to refresh bookmarks
-            window.close();
+            this._addBookmarkSettings(page, settings, window);
         });
         
         refreshRow.add_suffix(refreshButton);
         refreshGroup.add(refreshRow);
-        page.add(refreshGroup);
+        addGroup(refreshGroup);
+    }
+    
+    _createCustomShareButtons(share, page, settings, window) {
+        const box = new Gtk.Box({
+            spacing: 6,
+            valign: Gtk.Align.CENTER
+        });
+        
+        const editButton = new Gtk.Button({
+            icon_name: 'document-edit-symbolic',
+            tooltip_text: _('Edit share'),
+            css_classes: ['flat']
+        });
+        editButton.connect('clicked', () => {
+            this._showShareDialog(share, page, settings, window);
+        });
+        box.append(editButton);
+        
+        const removeButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Remove share'),
+            css_classes: ['flat']
+        });
+        removeButton.connect('clicked', () => {
+            this._removeCustomShare(share, page, settings, window);
+        });
+        box.append(removeButton);
+        
+        return box;
+    }
+    
+    _validateShareUri(uri) {
+        // Returns an error message, or null when the URI can be mounted
+        if (!uri) return _('Enter a share address');
+        
+        let parsed;
+        try {
+            parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
+        } catch (e) {
+            return _('Not a valid address');
+        }
+        
+        let scheme = parsed.get_scheme().toLowerCase();
+        if (!(scheme in SHARE_PROTOCOLS)) {
+            return _(`Unsupported protocol: use ${Object.keys(SHARE_PROTOCOLS).join(', ')}`);
+        }
+        if (!parsed.get_host()) return _('The address needs a host name');
+        
+        return null;
+    }
+    
+    async _testShareConnection(uri) {
+        // Same check the extension does before mounting: a TCP connection to the protocol's port
+        let parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
+        let port = parsed.get_port() > 0 ? parsed.get_port() : SHARE_PROTOCOLS[parsed.get_scheme().toLowerCase()];
+        let client = new Gio.SocketClient({ timeout: 5 });
+        
+        let connection = await client.connect_async(Gio.NetworkAddress.new(parsed.get_host(), port), null);
+        connection.close(null);
+        return `${parsed.get_host()}:${port}`;
+    }
+    
+    _showShareDialog(share, page, settings, window) {
+        const dialog = new Adw.MessageDialog({
+            heading: share ? _('Edit Share') : _('Add Share'),
+            body: _('Shares added here are stored by the extension and not shown in the Files sidebar.'),
+            modal: true,
+            transient_for: window
+        });
+        
+        const fields = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list']
+        });
+        
+        const uriRow = new Adw.EntryRow({
+            title: _('Address (e.g. smb://server/share)'),
+            text: share?.uri || ''
+        });
+        fields.append(uriRow);
+        
+        const nameRow = new Adw.EntryRow({
+            title: _('Display Name'),
+            text: share?.name || ''
+        });
+        fields.append(nameRow);
+        
+        const testRow = new Adw.ActionRow({
+            title: _('Test Connection'),
+            subtitle: _('Check that the server accepts connections')
+        });
+        const testButton = new Gtk.Button({
+            label: _('Test'),
+            valign: Gtk.Align.CENTER
+        });
+        testRow.add_suffix(testButton);
+        fields.append(testRow);
+        
+        dialog.set_extra_child(fields);
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('save', share ? _('Save') : _('Add'));
+        dialog.set_response_appearance('save', Adw.ResponseAppearance.SUGGESTED);
+        
+        const validate = () => {
+            let error = this._validateShareUri(uriRow.get_text().trim());
+            
+            let customShares = this._loadCustomShares(settings);
+            let uri = uriRow.get_text().trim();
+            if (!error && uri !== share?.uri &&
+                (customShares.some(existing => existing.uri === uri) ||
+                 readBookmarkEntries().some(bookmark => bookmark.uri === uri))) {
+                error = _('This share is already configured');
+            }
+            
+            if (error && uriRow.get_text()) {
+                uriRow.add_css_class('error');
+            } else {
+                uriRow.remove_css_class('error');
+            }
+            testRow.set_subtitle(error || _('Check that the server accepts connections'));
+            dialog.set_response_enabled('save', !error);
+            testButton.set_sensitive(!error);
+            return !error;
+        };
+        uriRow.connect('notify::text', validate);
+        validate();
+        
+        testButton.connect('clicked', async () => {
+            testButton.set_sensitive(false);
+            testRow.set_subtitle(_('Connecting\u2026'));
+            try {
+                let address = await this._testShareConnection(uriRow.get_text().trim());
+                testRow.set_subtitle(_(`Connected to ${address}`));
+            } catch (e) {
+                testRow.set_subtitle(_(`Connection failed: ${e.message}`));
+            }
+            testButton.set_sensitive(true);
+        });
+        
+        dialog.connect('response', (dialog, response) => {
+            if (response === 'save' && validate()) {
+                let uri = uriRow.get_text().trim();
+                let shares = this._loadCustomShares(settings);
+                let entry = {
+                    uri,
+                    name: nameRow.get_text().trim() || extractNameFromUri(uri)
+                };
+                
+                let existingIndex = share ? shares.findIndex(existing => existing.uri === share.uri) : -1;
+                if (existingIndex >= 0) {
+                    shares[existingIndex] = entry;
+                } else {
+                    shares.push(entry);
+                }
+                
+                // Keep per-share settings when the address changes
+                if (share && share.uri !== uri) {
+                    this._renameBookmarkSettings(share.uri, uri, settings);
+                }
+                
+                this._saveCustomShares(shares, settings);
+                this._addBookmarkSettings(page, settings, window);
+            }
+            dialog.destroy();
+        });
+        
+        dialog.present();
+    }
+    
+    _describeSymlinkPreview(bookmark, settings) {
+        let template = getSymlinkTemplate(bookmark, settings.get_string('symlink-template'));
+        let relative = expandSymlinkTemplate(bookmark, template);
+        let basePath = settings.get_string('custom-mount-base').replace(/\/+$/, '') || '~/NetworkMounts';
+        let preview = `${basePath}/${relative}`;
+        
+        let unknown = [...template.matchAll(/\{(\w+)\}/g)]
+            .map(match => match[1])
+            .filter(field => !SYMLINK_TEMPLATE_FIELDS.includes(field));
+        if (unknown.length > 0) {
+            preview += ' - ' + _(`unknown fields: ${unknown.map(field => `{${field}}`).join(', ')}`);
+        }
+        return preview;
+    }
+    
+    _describeSubfolderLinks(bookmark) {
+        let count = bookmark.links.filter(link => link.destination).length;
+        return count > 0 ?
+            _(`${count} link(s)`) :
+            _('Link folders inside the share somewhere else, e.g. "Photos" at ~/Pictures/NAS');
+    }
+    
+    _updateSymlinkPreviews() {
+        (this._symlinkPreviews || []).forEach(update => update());
+    }
+    
+    _describeDependencies(bookmark, bookmarks) {
+        let names = bookmark.dependsOn
+            .map(uri => bookmarks.find(other => other.uri === uri))
+            .filter(parent => parent)
+            .map(parent => parent.name);
+        return names.length > 0 ? _(`Mounted after ${names.join(', ')}`) : _('No dependencies');
+    }
+    
+    _dependsOn(bookmark, uri, bookmarks, seen = new Set()) {
+        // True when bookmark needs uri, directly or through other shares
+        if (seen.has(bookmark.uri)) return false;
+        seen.add(bookmark.uri);
+        
+        return bookmark.dependsOn.some(parentUri => {
+            if (parentUri === uri) return true;
+            let parent = bookmarks.find(other => other.uri === parentUri);
+            return parent ? this._dependsOn(parent, uri, bookmarks, seen) : false;
+        });
+    }
+    
+    _renameBookmarkSettings(oldUri, newUri, settings) {
+        try {
+            let bookmarkSettings = JSON.parse(settings.get_string('bookmark-settings') || '{}');
+            if (bookmarkSettings[oldUri]) {
+                bookmarkSettings[newUri] = bookmarkSettings[oldUri];
+                delete bookmarkSettings[oldUri];
+            }
+            
+            // Keep other shares' dependencies pointing at the renamed share
+            Object.values(bookmarkSettings).forEach(shareSettings => {
+                if (Array.isArray(shareSettings.dependsOn)) {
+                    shareSettings.dependsOn = shareSettings.dependsOn.map(uri => uri === oldUri ? newUri : uri);
+                }
+            });
+            settings.set_string('bookmark-settings', JSON.stringify(bookmarkSettings));
+        } catch (e) {
+            console.error('Error updating bookmark settings:', e);
+        }
+    }
+    
+    _removeCustomShare(share, page, settings, window) {
+        const dialog = new Adw.MessageDialog({
+            heading: _('Remove Share?'),
+            body: _(`${share.name} will no longer be mounted by the extension.`),
+            modal: true,
+            transient_for: window
+        });
+        
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('remove', _('Remove'));
+        dialog.set_response_appearance('remove', Adw.ResponseAppearance.DESTRUCTIVE);
+        
+        dialog.connect('response', (dialog, response) => {
+            if (response === 'remove') {
+                let shares = this._loadCustomShares(settings).filter(existing => existing.uri !== share.uri);
+                this._saveCustomShares(shares, settings);
+                this._addBookmarkSettings(page, settings, window);
+            }
+            dialog.destroy();
+        });
+        
+        dialog.present();
+    }
+    
+    async _lookupCredentials(uri) {
+        let secret = await Secret.password_lookup(CREDENTIALS_SCHEMA, { uri }, null);
+        return secret ? JSON.parse(secret) : null;
+    }
+    
+    async _updateCredentialsRow(bookmark, row) {
+        try {
+            let credentials = await this._lookupCredentials(bookmark.uri);
+            row.set_subtitle(credentials ?
+                _(`Stored in keyring for ${credentials.domain ? credentials.domain + '\\' : ''}${credentials.user}`) :
+                _('Not set - the share must be mountable without a password'));
+        } catch (e) {
+            console.error('Error reading credentials from keyring:', e);
+            row.set_subtitle(_('Keyring unavailable'));
+        }
+    }
+    
+    async _showCredentialsDialog(bookmark, credentialsRow, window, settings) {
+        let existing = null;
+        try {
+            existing = await this._lookupCredentials(bookmark.uri);
+        } catch (e) {
+            console.error('Error reading credentials from keyring:', e);
+        }
+        
+        const dialog = new Adw.MessageDialog({
+            heading: _('Credentials'),
+            body: _(`Used to mount ${bookmark.name} without prompting. Stored in the GNOME keyring.`),
+            modal: true,
+            transient_for: window
+        });
+        
+        const fields = new Gtk.ListBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            css_classes: ['boxed-list']
+        });
+        
+        const userRow = new Adw.EntryRow({
+            title: _('Username'),
+            text: existing?.user || ''
+        });
+        fields.append(userRow);
+        
+        const domainRow = new Adw.EntryRow({
+            title: _('Domain (optional)'),
+            text: existing?.domain || ''
+        });
+        fields.append(domainRow);
+        
+        const passwordRow = new Adw.PasswordEntryRow({
+            title: _('Password'),
+            text: existing?.password || ''
+        });
+        fields.append(passwordRow);
+        
+        dialog.set_extra_child(fields);
+        
+        dialog.add_response('cancel', _('Cancel'));
+        if (existing) {
+            dialog.add_response('delete', _('Delete'));
+            dialog.set_response_appearance('delete', Adw.ResponseAppearance.DESTRUCTIVE);
+        }
+        dialog.add_response('save', _('Save'));
+        dialog.set_response_appearance('save', Adw.ResponseAppearance.SUGGESTED);
+        dialog.set_default_response('save');
+        
+        dialog.connect('response', async (dialog, response) => {
+            try {
+                if (response === 'save') {
+                    if (!userRow.get_text()) {
+                        throw new Error(_('A username is required'));
+                    }
+                    
+                    let secret = JSON.stringify({
+                        user: userRow.get_text(),
+                        domain: domainRow.get_text(),
+                        password: passwordRow.get_text()
+                    });
+                    await Secret.password_store(CREDENTIALS_SCHEMA, { uri: bookmark.uri },
+                        Secret.COLLECTION_DEFAULT, _(`Network share ${bookmark.name}`), secret, null);
+                } else if (response === 'delete') {
+                    await Secret.password_clear(CREDENTIALS_SCHEMA, { uri: bookmark.uri }, null);
+                }
+                if (response === 'save' || response === 'delete') this._markCredentialsChanged(bookmark, settings);
+            } catch (e) {
+                console.error('Error updating credentials in keyring:', e);
+                window.add_toast(new Adw.Toast({
+                    title: _(`Could not update credentials: ${e.message}`)
+                }));
+            }
+            
+            this._updateCredentialsRow(bookmark, credentialsRow);
+        });
+        
+        dialog.present();
+    }
+    
+    _markCredentialsChanged(bookmark, settings) {
+        // Tells the extension to stop holding back a share whose old credentials were rejected
+        let changes = {};
+        try {
+            changes = JSON.parse(settings.get_string('credentials-changed') || '{}');
+        } catch (e) {
+            console.error('Error reading credential changes:', e);
+        }
+        changes[bookmark.uri] = Date.now();
+        settings.set_string('credentials-changed', JSON.stringify(changes));
     }
     
     _addAdvancedSettings(page, settings, window) {
@@ -409,7 +1295,7 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         // Retry delay
         const delayRow = new Adw.SpinRow({
             title: _('Retry Delay'),
-            subtitle: _('Seconds to wait between retry attempts'),
+            subtitle: _('Seconds to wait before the first retry, doubled after each failure'),
             adjustment: new Gtk.Adjustment({
                 lower: 5,
                 upper: 300,
@@ -424,8 +1310,71 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         });
         
         retryGroup.add(delayRow);
+        
+        // Backoff cap
+        const maxDelayRow = new Adw.SpinRow({
+            title: _('Maximum Retry Delay'),
+            subtitle: _('Upper limit in seconds for the delay between retries'),
+            adjustment: new Gtk.Adjustment({
+                lower: 5,
+                upper: 3600,
+                step_increment: 30,
+                page_increment: 300,
+                value: settings.get_int('retry-max-delay')
+            })
+        });
+        
+        maxDelayRow.connect('notify::value', () => {
+            settings.set_int('retry-max-delay', maxDelayRow.get_value());
+        });
+        
+        retryGroup.add(maxDelayRow);
+        
+        // Cooldown after giving up
+        const cooldownRow = new Adw.SpinRow({
+            title: _('Retry Cooldown'),
+            subtitle: _('Minutes to wait after all retries failed before trying again'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 1440,
+                step_increment: 5,
+                page_increment: 60,
+                value: settings.get_int('retry-cooldown')
+            })
+        });
+        
+        cooldownRow.connect('notify::value', () => {
+            settings.set_int('retry-cooldown', cooldownRow.get_value());
+        });
+        
+        retryGroup.add(cooldownRow);
         page.add(retryGroup);
         
+        // Shares the user unmounted themselves
+        const pauseGroup = new Adw.PreferencesGroup({
+            title: _('Manual Unmounts'),
+            description: _('Shares unmounted in Files or elsewhere are not mounted again automatically')
+        });
+        
+        const pauseRow = new Adw.SpinRow({
+            title: _('Pause Duration'),
+            subtitle: _('Minutes before automount resumes (0 = until mounted again)'),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 1440,
+                step_increment: 5,
+                page_increment: 60,
+                value: settings.get_int('unmount-pause-timeout')
+            })
+        });
+        
+        pauseRow.connect('notify::value', () => {
+            settings.set_int('unmount-pause-timeout', pauseRow.get_value());
+        });
+        
+        pauseGroup.add(pauseRow);
+        page.add(pauseGroup);
+        
         // Debug group
         const debugGroup = new Adw.PreferencesGroup({
             title: _('Debugging'),
@@ -516,6 +1465,295 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
         dialog.present();
     }
     
+    _addHistorySettings(page, window) {
+        const filterGroup = new Adw.PreferencesGroup({
+            title: _('Mount History'),
+            description: _('Mounts, unmounts, failures, retries and symlink changes recorded by the extension')
+        });
+        
+        const refreshButton = new Gtk.Button({
+            icon_name: 'view-refresh-symbolic',
+            valign: Gtk.Align.CENTER,
+            tooltip_text: _('Reload history')
+        });
+        refreshButton.add_css_class('flat');
+        
+        const clearButton = new Gtk.Button({
+            label: _('Clear'),
+            valign: Gtk.Align.CENTER
+        });
+        clearButton.add_css_class('destructive-action');
+        
+        const headerButtons = new Gtk.Box({ spacing: 6 });
+        headerButtons.append(refreshButton);
+        headerButtons.append(clearButton);
+        filterGroup.set_header_suffix(headerButtons);
+        
+        const shareRow = new Adw.ComboRow({
+            title: _('Share'),
+            model: Gtk.StringList.new([_('All Shares')])
+        });
+        filterGroup.add(shareRow);
+        
+        const eventRow = new Adw.ComboRow({
+            title: _('Event'),
+            model: Gtk.StringList.new([_('All Events'), ...HISTORY_EVENTS.map(event => this._describeHistoryEvent(event))])
+        });
+        filterGroup.add(eventRow);
+        page.add(filterGroup);
+        
+        let availabilityGroup = null;
+        let entriesGroup = null;
+        let shareUris = [];
+        let updatingShares = false;
+        
+        const showHistory = () => {
+            let records = this._loadHistory();
+            
+            // Rebuild the share list from the log, keeping the current choice if it is still there
+            let selectedUri = shareRow.get_selected() > 0 ? shareUris[shareRow.get_selected() - 1] : null;
+            let shares = new Map();
+            records.forEach(record => {
+                if (record.uri) shares.set(record.uri, record.share || record.uri);
+            });
+            shareUris = [...shares.keys()];
+            if (!shareUris.includes(selectedUri)) selectedUri = null;
+            
+            updatingShares = true;
+            shareRow.set_model(Gtk.StringList.new([_('All Shares'), ...shareUris.map(uri => shares.get(uri))]));
+            shareRow.set_selected(selectedUri ? shareUris.indexOf(selectedUri) + 1 : 0);
+            updatingShares = false;
+            
+            let event = eventRow.get_selected() > 0 ? HISTORY_EVENTS[eventRow.get_selected() - 1] : null;
+            let matching = records
+                .filter(record => (!selectedUri || !record.uri || record.uri === selectedUri) &&
+                    (!event || record.event === event))
+                .reverse();
+            
+            if (availabilityGroup) page.remove(availabilityGroup);
+            availabilityGroup = this._createAvailabilityGroup(records, shares, selectedUri);
+            page.add(availabilityGroup);
+            
+            if (entriesGroup) page.remove(entriesGroup);
+            entriesGroup = new Adw.PreferencesGroup({
+                description: matching.length > HISTORY_DISPLAY_LIMIT ?
+                    _(`Showing the newest ${HISTORY_DISPLAY_LIMIT} of ${matching.length} events`) :
+                    _(`${matching.length} event(s)`)
+            });
+            
+            if (matching.length === 0) {
+                entriesGroup.add(new Adw.ActionRow({
+                    title: _('No events recorded'),
+                    subtitle: _('Events appear here as the extension mounts and unmounts shares')
+                }));
+            }
+            matching.slice(0, HISTORY_DISPLAY_LIMIT).forEach(record => {
+                entriesGroup.add(new Adw.ActionRow({
+                    title: record.uri ?
+                        `${this._describeHistoryEvent(record.event)} \u2014 ${record.share || record.uri}` :
+                        this._describeHistoryEvent(record.event),
+                    subtitle: this._describeHistoryRecord(record),
+                    use_markup: false
+                }));
+            });
+            page.add(entriesGroup);
+        };
+        
+        shareRow.connect('notify::selected', () => {
+            if (!updatingShares) showHistory();
+        });
+        eventRow.connect('notify::selected', () => showHistory());
+        refreshButton.connect('clicked', () => showHistory());
+        
+        clearButton.connect('clicked', () => {
+            const dialog = new Adw.MessageDialog({
+                heading: _('Clear History?'),
+                body: _('All recorded mount events will be deleted.'),
+                modal: true,
+                transient_for: window
+            });
+            
+            dialog.add_response('cancel', _('Cancel'));
+            dialog.add_response('clear', _('Clear'));
+            dialog.set_response_appearance('clear', Adw.ResponseAppearance.DESTRUCTIVE);
+            
+            dialog.connect('response', (dialog, response) => {
+                if (response === 'clear') {
+                    this._clearHistory();
+                    showHistory();
+                }
+                dialog.destroy();
+            });
+            
+            dialog.present();
+        });
+        
+        showHistory();
+    }
+    
+    _createAvailabilityGroup(records, shares, selectedUri) {
+        const group = new Adw.PreferencesGroup({
+            title: _('Availability'),
+            description: _('Worked out from the history above. Time after a deliberate unmount or while the extension was not running does not count against a share.')
+        });
+        
+        let now = Date.now();
+        let periodTitles = {
+            day: _('Last Day'),
+            week: _('Last Week'),
+            month: _('Last Month')
+        };
+        let uris = selectedUri ? [selectedUri] : [...shares.keys()];
+        
+        uris.forEach(uri => {
+            let shareRecords = records.filter(record => !record.uri || record.uri === uri);
+            let stats = AVAILABILITY_PERIODS.map(period =>
+                computeAvailability(uri, shareRecords, period.seconds * 1000, now));
+            let week = stats[1];
+            
+            const shareRow = new Adw.ExpanderRow({
+                title: shares.get(uri),
+                subtitle: week.uptime === null ?
+                    _('No data for the last week') :
+                    _(`${(week.uptime * 100).toFixed(1)}% uptime, ${week.drops} drop(s) in the last week`),
+                use_markup: false
+            });
+            
+            stats.forEach((periodStats, i) => {
+                let details = [_(`${periodStats.drops} drop(s)`)];
+                if (periodStats.meanTimeToMount !== null) {
+                    details.push(_(`mean time to mount ${formatDuration(periodStats.meanTimeToMount)}`));
+                }
+                if (periodStats.meanTimeBetweenFailures !== null) {
+                    details.push(_(`MTBF ${formatDuration(periodStats.meanTimeBetweenFailures)}`));
+                }
+                
+                const periodRow = new Adw.ActionRow({
+                    title: periodTitles[AVAILABILITY_PERIODS[i].name],
+                    subtitle: details.join(' \u2022 ')
+                });
+                
+                // Uptime as a bar with the percentage next to it
+                const uptimeBar = new Gtk.LevelBar({
+                    min_value: 0,
+                    max_value: 1,
+                    value: periodStats.uptime ?? 0,
+                    width_request: 120,
+                    valign: Gtk.Align.CENTER,
+                    sensitive: periodStats.uptime !== null
+                });
+                const uptimeLabel = new Gtk.Label({
+                    label: periodStats.uptime === null ? '\u2013' : `${(periodStats.uptime * 100).toFixed(1)}%`,
+                    width_chars: 6,
+                    xalign: 1
+                });
+                uptimeLabel.add_css_class('numeric');
+                periodRow.add_suffix(uptimeBar);
+                periodRow.add_suffix(uptimeLabel);
+                shareRow.add_row(periodRow);
+            });
+            
+            let lastFailure = stats[2].lastFailure;
+            const failureRow = new Adw.ActionRow({
+                title: _('Last Failure'),
+                subtitle: lastFailure ?
+                    `${lastFailure.message ?? _('Not responding')} \u2022 ${GLib.DateTime.new_from_unix_local(Math.floor(lastFailure.time / 1000)).format('%x %X')}` :
+                    _('None in the last month'),
+                use_markup: false
+            });
+            shareRow.add_row(failureRow);
+            group.add(shareRow);
+        });
+        
+        if (uris.length === 0) {
+            group.add(new Adw.ActionRow({
+                title: _('No statistics yet'),
+                subtitle: _('They are worked out once the extension has recorded some mount events')
+            }));
+        }
+        return group;
+    }
+    
+    _getHistoryFiles() {
+        // The rotated file first, so records come out oldest to newest
+        return getHistoryPaths().map(path => Gio.File.new_for_path(path));
+    }
+    
+    _loadHistory() {
+        let records = [];
+        let decoder = new TextDecoder();
+        
+        this._getHistoryFiles().forEach(file => {
+            let contents;
+            try {
+                [, contents] = file.load_contents(null);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    console.error('Error reading mount history:', e);
+                }
+                return;
+            }
+            
+            decoder.decode(contents).split('\n').forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    let record = JSON.parse(line);
+                    if (record && record.event && record.time) records.push(record);
+                } catch (e) {
+                    // A line cut short by a crash
+                }
+            });
+        });
+        return records;
+    }
+    
+    _clearHistory() {
+        this._getHistoryFiles().forEach(file => {
+            try {
+                file.delete(null);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    console.error('Error clearing mount history:', e);
+                }
+            }
+        });
+    }
+    
+    _describeHistoryEvent(event) {
+        const labels = {
+            'mounted': _('Mounted'),
+            'mount-failed': _('Mount Failed'),
+            'mount-cancelled': _('Mount Cancelled'),
+            'retry-scheduled': _('Retry Scheduled'),
+            'gave-up': _('Gave Up'),
+            'stale': _('Stale'),
+            'unmounted': _('Unmounted'),
+            'unmount-failed': _('Unmount Failed'),
+            'unmount-cancelled': _('Unmount Cancelled'),
+            'symlink-created': _('Symlink Created'),
+            'symlink-removed': _('Symlink Removed'),
+            'started': _('Extension Started'),
+            'stopped': _('Extension Stopped')
+        };
+        return labels[event] || event;
+    }
+    
+    _describeHistoryRecord(record) {
+        let time = GLib.DateTime.new_from_iso8601(record.time, null);
+        let parts = [time ? time.to_local().format('%x %X') : record.time];
+        
+        if (record.external) parts.push(_('outside the extension'));
+        if (record.duration !== undefined) parts.push(_(`took ${(record.duration / 1000).toFixed(1)} s`));
+        if (record.attempt !== undefined) parts.push(_(`attempt ${record.attempt}, retry in ${record.delay} s`));
+        if (record.path) parts.push(record.path);
+        if (record.mounted) parts.push(_(`${record.mounted.length} share(s) already mounted`));
+        if (record.error) {
+            let code = record.error.domain ? ` (${record.error.domain} ${record.error.code})` : '';
+            parts.push(`${record.error.message}${code}`);
+        }
+        return parts.join(' \u2022 ');
+    }
+    
     _addAboutSettings(page) {
         const aboutGroup = new Adw.PreferencesGroup({
             title: _('Network Share Automount'),
@@ -593,9 +1831,19 @@ export default class NetworkShareAutomountPreferences extends ExtensionPreferenc
                 settings.reset('show-success-notifications');
                 settings.reset('show-error-notifications');
                 settings.reset('custom-mount-base');
+                settings.reset('symlink-template');
                 settings.reset('bookmark-settings');
+                settings.reset('custom-shares');
                 settings.reset('retry-attempts');
                 settings.reset('retry-delay');
+                settings.reset('retry-max-delay');
+                settings.reset('retry-cooldown');
+                settings.reset('unmount-pause-timeout');
+                settings.reset('network-wait-timeout');
+                settings.reset('mount-timeout');
+                settings.reset('health-check-interval');
+                settings.reset('max-concurrent-mounts');
+                settings.reset('automount-paused-until');
                 settings.reset('symlink-mounts');
                 
                 // Close preferences window to force refresh
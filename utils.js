@@ -0,0 +1,397 @@
+/*
+ * Network Share Automount extension for Gnome 45+
+ * Copyright 2025 Gavin Graham (gavindi)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License version 2 (GPLv2)
+ * as published by the Free Software Foundation.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ *
+ */
+
+// Helpers shared by the extension and its preferences. Only GLib may be used here,
+// since the two run in different processes with different toolkits.
+
+import GLib from 'gi://GLib';
+
+// Link layout used when neither the settings nor the share give a template
+export const DEFAULT_SYMLINK_TEMPLATE = '{group}/{name}';
+
+// Fields link name templates can use
+export const SYMLINK_TEMPLATE_FIELDS = ['name', 'group', 'protocol', 'host', 'port', 'user', 'share', 'path'];
+
+// Periods covered by the availability statistics; history older than the last is not kept in memory
+export const AVAILABILITY_PERIODS = [
+    { name: 'day', seconds: 24 * 60 * 60 },
+    { name: 'week', seconds: 7 * 24 * 60 * 60 },
+    { name: 'month', seconds: 30 * 24 * 60 * 60 }
+];
+
+// History events that count as the share's last failure
+export const FAILURE_EVENTS = ['mount-failed', 'unmount-failed', 'stale'];
+
+// Day abbreviations used in mount schedules, indexed like Date.getDay()
+export const SCHEDULE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Protocols shares can use, with the default port used to test whether their host is up
+export const SHARE_PROTOCOLS = {
+    smb: 445,
+    sftp: 22,
+    ssh: 22,
+    ftp: 21,
+    ftps: 990,
+    dav: 80,
+    davs: 443,
+    afp: 548,
+    nfs: 2049
+};
+
+// What a share's link does while it isn't mounted
+export const SymlinkPolicy = {
+    REMOVE: 'remove',
+    DANGLING: 'dangling',
+    PLACEHOLDER: 'placeholder'
+};
+
+// Directory below the user state dir for offline placeholders and the event history
+const STATE_DIR_NAME = 'network-share-automount';
+
+// The event history; it is rotated once its first record is older than the longest availability
+// period, keeping one older file so at least that period is always on disk
+const HISTORY_FILE_NAME = 'history.jsonl';
+
+export function sanitizeForFilename(name) {
+    // Replace problematic characters with safe alternatives
+    return name.replace(/[<>:"\/\\|?*]/g, '_')
+              .replace(/\s+/g, '_')
+              .replace(/_+/g, '_')
+              .replace(/^_|_$/g, '');
+}
+
+export function getSymlinkFields(bookmark) {
+    // Values available to link name templates, taken from the share and its parsed URI
+    let fields = {
+        name: bookmark.symlinkPath || sanitizeForFilename(bookmark.name),
+        group: sanitizeForFilename(bookmark.group),
+        protocol: '',
+        host: '',
+        port: '',
+        user: '',
+        share: '',
+        path: ''
+    };
+    
+    try {
+        let parsed = GLib.Uri.parse(bookmark.uri, GLib.UriFlags.NONE);
+        let segments = (parsed.get_path() || '').split('/')
+            .filter(segment => segment)
+            .map(segment => sanitizeForFilename(GLib.Uri.unescape_string(segment, null) || segment));
+        fields.protocol = parsed.get_scheme().toLowerCase();
+        fields.host = sanitizeForFilename(parsed.get_host() || '');
+        fields.port = parsed.get_port() > 0 ? String(parsed.get_port()) : '';
+        fields.user = sanitizeForFilename(parsed.get_user() || '');
+        fields.share = segments[0] || '';
+        fields.path = segments.slice(1).join('/');
+    } catch (e) {
+        // Unparseable URIs only get {name} and {group}
+    }
+    return fields;
+}
+
+export function getSymlinkTemplate(bookmark, globalTemplate) {
+    // A Symlink Name with fields or slashes is the share's own template; a plain one fills {name}
+    return /[{/]/.test(bookmark.symlinkPath) ? bookmark.symlinkPath : globalTemplate || DEFAULT_SYMLINK_TEMPLATE;
+}
+
+export function expandSymlinkTemplate(bookmark, globalTemplate) {
+    // The link's path below the base directory; it can never climb out of it
+    let fields = getSymlinkFields(bookmark);
+    let relative = getSymlinkTemplate(bookmark, globalTemplate)
+        .replace(/\{(\w+)\}/g, (match, field) => Object.hasOwn(fields, field) ? fields[field] : '')
+        .split('/')
+        .filter(segment => segment && segment !== '.' && segment !== '..')
+        .join('/');
+    return relative || sanitizeForFilename(bookmark.name) || 'share';
+}
+
+export function getStateDir() {
+    return GLib.build_filenamev([GLib.get_user_state_dir(), STATE_DIR_NAME]);
+}
+
+export function getHistoryPaths() {
+    // The rotated file first, so reading both gives the records oldest to newest
+    return [`${HISTORY_FILE_NAME}.1`, HISTORY_FILE_NAME].map(name => GLib.build_filenamev([getStateDir(), name]));
+}
+
+export function getBookmarkFilePaths() {
+    // GTK 3 and GTK 4 both use gtk-3.0/bookmarks; gtk-4.0 is read too in case it exists
+    let configDir = GLib.get_user_config_dir();
+    return ['gtk-3.0', 'gtk-4.0'].map(dir => GLib.build_filenamev([configDir, dir, 'bookmarks']));
+}
+
+export function extractNameFromUri(uri) {
+    try {
+        let parsed = GLib.Uri.parse(uri, GLib.UriFlags.NONE);
+        let path = parsed.get_path() || '';
+        let host = parsed.get_host() || 'unknown';
+        return path.length > 1 ? `${host}${path}` : host;
+    } catch (e) {
+        return uri;
+    }
+}
+
+export function readBookmarkEntries() {
+    // Network locations bookmarked in Files, as {uri, name, source}
+    let entries = [];
+    
+    getBookmarkFilePaths().forEach(path => {
+        try {
+            if (!GLib.file_test(path, GLib.FileTest.EXISTS)) return;
+            
+            let [success, contents] = GLib.file_get_contents(path);
+            if (!success) return;
+            
+            new TextDecoder().decode(contents).split('\n')
+                .filter(line => line.trim() && line.includes('://') && !line.startsWith('file://'))
+                .forEach(line => {
+                    let [uri, ...nameParts] = line.trim().split(' ');
+                    if (entries.some(entry => entry.uri === uri)) return;
+                    
+                    entries.push({ uri, name: nameParts.join(' ') || extractNameFromUri(uri), source: 'bookmark' });
+                });
+        } catch (e) {
+            console.error('Error loading bookmarks:', e);
+        }
+    });
+    
+    return entries;
+}
+
+export function parseCustomShares(text) {
+    // The custom-shares setting as stored, {uri, name} with an optional name; throws on invalid JSON
+    let shares = JSON.parse(text || '[]');
+    return Array.isArray(shares) ? shares.filter(share => share && share.uri) : [];
+}
+
+export function readShareEntries(customSharesText) {
+    // Bookmarks, then custom shares; shares already bookmarked in Files are listed once, as bookmarks
+    let entries = readBookmarkEntries();
+    let customShares = [];
+    try {
+        customShares = parseCustomShares(customSharesText);
+    } catch (e) {
+        console.error('Error loading custom shares:', e);
+    }
+    
+    customShares.forEach(share => {
+        if (entries.some(entry => entry.uri === share.uri)) return;
+        entries.push({ uri: share.uri, name: share.name || extractNameFromUri(share.uri), source: 'custom' });
+    });
+    return entries;
+}
+
+export function getShareDefaults() {
+    // A share's settings before the user changes any, as kept in bookmark-settings
+    return {
+        enabled: true,
+        createSymlink: false,
+        symlinkPath: '',
+        symlinkPolicy: SymlinkPolicy.REMOVE,
+        links: [],
+        networks: [],
+        mountTimeout: 0,
+        recoverStale: true,
+        unmountOnSleep: false,
+        unmountOnLock: false,
+        dependsOn: [],
+        priority: 0,
+        group: '',
+        schedule: [],
+        unmountOutsideSchedule: false
+    };
+}
+
+export function parseShareSettings(stored) {
+    // One share's entry from bookmark-settings, with anything missing or malformed at its default
+    return {
+        enabled: stored.enabled !== false,
+        createSymlink: stored.createSymlink || false,
+        symlinkPath: stored.symlinkPath || '',
+        symlinkPolicy: Object.values(SymlinkPolicy).includes(stored.symlinkPolicy) ?
+            stored.symlinkPolicy : SymlinkPolicy.REMOVE,
+        links: Array.isArray(stored.links) ?
+            stored.links
+                .filter(link => link && typeof link.destination === 'string')
+                .map(link => ({ subPath: String(link.subPath || ''), destination: link.destination })) :
+            [],
+        networks: Array.isArray(stored.networks) ? stored.networks : [],
+        mountTimeout: stored.mountTimeout || 0,
+        recoverStale: stored.recoverStale !== false,
+        unmountOnSleep: stored.unmountOnSleep || false,
+        unmountOnLock: stored.unmountOnLock || false,
+        dependsOn: Array.isArray(stored.dependsOn) ? stored.dependsOn : [],
+        priority: stored.priority || 0,
+        group: (stored.group || '').trim(),
+        schedule: Array.isArray(stored.schedule) ? stored.schedule : [],
+        unmountOutsideSchedule: stored.unmountOutsideSchedule || false
+    };
+}
+
+export function serializeShareSettings(bookmarks) {
+    // The bookmark-settings value for the given shares, keyed by URI
+    let bookmarkSettings = {};
+    let keys = Object.keys(getShareDefaults());
+    bookmarks.forEach(bookmark => {
+        bookmarkSettings[bookmark.uri] = Object.fromEntries(keys.map(key => [key, bookmark[key]]));
+    });
+    return JSON.stringify(bookmarkSettings);
+}
+
+export function computeAvailability(uri, records, periodMs, now = Date.now()) {
+    // Works out one share's availability from its history, oldest first.
+    // Time after a deliberate unmount or while the extension wasn't running doesn't count against the share.
+    // The last failure's message is null when it was recorded without an error, i.e. the share stopped answering.
+    let start = now - periodMs;
+    let state = null; // 'up', 'down' or null while the share isn't wanted or not yet known
+    let since = start;
+    let lastTime = start;
+    let upMs = 0;
+    let downMs = 0;
+    let drops = 0;
+    let mountTimes = [];
+    let lastFailure = null;
+    
+    let enter = (newState, time) => {
+        if (state === 'up') upMs += time - since;
+        if (state === 'down') downMs += time - since;
+        state = newState;
+        since = time;
+    };
+    
+    records.forEach(record => {
+        let recordTime = Date.parse(record.time);
+        if (Number.isNaN(recordTime)) return;
+        let inPeriod = recordTime >= start;
+        let time = Math.max(recordTime, start);
+        
+        switch (record.event) {
+        case 'started':
+            // Nothing was watched since the last record, even if the extension never got to record stopping
+            enter(null, lastTime);
+            enter(record.mounted?.includes(uri) ? 'up' : null, time);
+            break;
+        case 'stopped':
+            enter(null, time);
+            break;
+        case 'mounted':
+            enter('up', time);
+            if (inPeriod && !record.external && record.duration !== undefined) {
+                mountTimes.push(record.duration);
+            }
+            break;
+        case 'stale':
+            if (inPeriod && state === 'up') drops++;
+            enter('down', time);
+            break;
+        case 'unmounted':
+            // Unmounted outside the extension counts as a drop; unmounting a stale share keeps it down
+            if (record.external) {
+                if (inPeriod && state === 'up') drops++;
+                enter('down', time);
+            } else if (state !== 'down') {
+                enter(null, time);
+            }
+            break;
+        case 'mount-failed':
+        case 'retry-scheduled':
+        case 'gave-up':
+            if (state !== 'up') enter('down', time);
+            break;
+        }
+        
+        if (inPeriod && FAILURE_EVENTS.includes(record.event)) {
+            lastFailure = {
+                time: recordTime,
+                message: record.error ? record.error.message : null
+            };
+        }
+        lastTime = time;
+    });
+    enter(state, now);
+    
+    let observedMs = upMs + downMs;
+    return {
+        uptime: observedMs > 0 ? upMs / observedMs : null,
+        drops,
+        meanTimeToMount: mountTimes.length > 0 ?
+            mountTimes.reduce((total, duration) => total + duration, 0) / mountTimes.length : null,
+        meanTimeBetweenFailures: drops > 0 ? upMs / drops : null,
+        lastFailure
+    };
+}
+
+export function formatDuration(ms) {
+    if (ms < 60 * 1000) return `${(ms / 1000).toFixed(1)}s`;
+    if (ms < 60 * 60 * 1000) return `${Math.round(ms / (60 * 1000))}m`;
+    if (ms < 24 * 60 * 60 * 1000) return `${(ms / (60 * 60 * 1000)).toFixed(1)}h`;
+    return `${(ms / (24 * 60 * 60 * 1000)).toFixed(1)}d`;
+}
+
+export function parseSchedule(text) {
+    // "Mon-Fri 22:00-06:00; Sat,Sun 09:00-23:00" -> [{days, start, end}] with minutes
+    // since midnight; days may be left out for every day. Returns null when unreadable.
+    let windows = [];
+    
+    for (let part of text.split(';').map(part => part.trim()).filter(part => part)) {
+        let match = part.match(/^(?:(.+?)\s+)?(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        
+        let [startHour, startMinute, endHour, endMinute] = match.slice(2).map(Number);
+        let dayText = match[1];
+        let days = dayText ? parseScheduleDays(dayText) : [0, 1, 2, 3, 4, 5, 6];
+        let start = startHour * 60 + startMinute;
+        let end = endHour * 60 + endMinute;
+        
+        if (!days || startMinute > 59 || endMinute > 59 || start > 1440 || end > 1440) return null;
+        windows.push({ days, start: start % 1440, end: end % 1440 });
+    }
+    
+    return windows;
+}
+
+function parseScheduleDays(text) {
+    let dayIndex = name => SCHEDULE_DAY_NAMES.findIndex(day => day.toLowerCase() === name.trim().slice(0, 3).toLowerCase());
+    let days = new Set();
+    
+    for (let item of text.split(',')) {
+        let [first, last] = item.split('-').map(dayIndex);
+        if (first < 0 || last < 0) return null;
+        if (last === undefined) {
+            days.add(first);
+            continue;
+        }
+        
+        // Ranges may wrap around the week, e.g. Fri-Mon
+        for (let day = first; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === last) break;
+        }
+    }
+    
+    return [...days].sort((a, b) => a - b);
+}
+
+export function formatSchedule(schedule) {
+    return schedule.map(window => {
+        let time = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        let days = window.days.length === 7 ? '' : `${window.days.map(day => SCHEDULE_DAY_NAMES[day]).join(',')} `;
+        return `${days}${time(window.start)}-${time(window.end)}`;
+    }).join('; ');
+}